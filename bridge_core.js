@@ -0,0 +1,488 @@
+// Everything the bridges have in common: the secret and origin checks, the
+// plugin handshake, the registry of connected vaults and the MCP server that
+// forwards tool calls to them. Each bridge only decides which port its
+// WebSocket server listens on and hands new connections to handleConnection.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+    CallToolRequestSchema,
+    ErrorCode,
+    ListToolsRequestSchema,
+    McpError
+} = require('@modelcontextprotocol/sdk/types.js');
+const { PROTOCOL_VERSION, handshakeProof, helloRejection } = require('./handshake');
+
+const DEBUG = true;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REQUEST_TIMEOUT_MS = 310000; // wait_for accepts up to 300 s
+const HANDSHAKE_TIMEOUT_MS = 5000;
+const SECRET_PATH = process.env.OBSIDIAN_MCP_SECRET_FILE ||
+    path.join(os.homedir(), '.obsidian-devtools-mcp', 'secret');
+const ALLOWED_ORIGINS = (process.env.OBSIDIAN_MCP_ALLOWED_ORIGINS || 'app://obsidian.md')
+    .split(',').map(origin => origin.trim()).filter(Boolean);
+// Vault (name or id) that tools run in when no vault argument is given
+const DEFAULT_VAULT = process.env.OBSIDIAN_MCP_DEFAULT_VAULT || null;
+
+// Logging; stdout belongs to the MCP transport
+function log(...args) {
+    if (DEBUG) {
+        console.error('[MCP-Bridge]', ...args);
+    }
+}
+
+// Per-install secret shared with the plugin, created on first start. The
+// plugin reads the same file when it connects.
+function loadOrCreateSecret() {
+    try {
+        const existing = fs.readFileSync(SECRET_PATH, 'utf8').trim();
+        if (existing) {
+            return existing;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(SECRET_PATH), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(SECRET_PATH, secret + '\n', { mode: 0o600 });
+    log(`Created bridge secret at ${SECRET_PATH}`);
+    return secret;
+}
+
+const SECRET = loadOrCreateSecret();
+
+// Browsers send the page's origin; anything but Obsidian itself is refused
+function verifyClient({ origin }, callback) {
+    if (ALLOWED_ORIGINS.includes(origin)) {
+        callback(true);
+    } else {
+        log(`Refusing WebSocket connection from origin ${origin || '(none)'}`);
+        callback(false, 403, 'Origin not allowed');
+    }
+}
+
+// Connected Obsidian instances by vault id, each with the tool catalogue its
+// plugin advertised. Map order is connection order.
+const vaults = new Map();
+const pendingRequests = new Map();
+let clientInitialized = false;
+
+const VAULT_ARGUMENT = {
+    type: 'string',
+    description: 'Name or id of the vault to run this tool in (see list_vaults). Defaults to the default vault'
+};
+
+// Answered by the bridge itself rather than a plugin
+const LIST_VAULTS_TOOL = {
+    name: 'list_vaults',
+    description: 'List the Obsidian vaults connected to this bridge. Tools run in the default vault ' +
+        'unless their vault argument names another one',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            default: { type: ['string', 'null'] },
+            vaults: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        default: { type: 'boolean' },
+                        connectedAt: { type: 'string' },
+                        tools: { type: 'number' }
+                    },
+                    required: ['id', 'name', 'default']
+                }
+            }
+        },
+        required: ['default', 'vaults']
+    }
+};
+
+function vaultForConnection(ws) {
+    for (const vault of vaults.values()) {
+        if (vault.ws === ws) {
+            return vault;
+        }
+    }
+    return null;
+}
+
+// Look a vault up by id, then by name, then by name ignoring case
+function findVault(ref) {
+    if (vaults.has(ref)) {
+        return vaults.get(ref);
+    }
+    const all = [...vaults.values()];
+    let named = all.filter(vault => vault.name === ref);
+    if (!named.length) {
+        named = all.filter(vault => vault.name.toLowerCase() === ref.toLowerCase());
+    }
+    if (named.length > 1) {
+        throw new Error(`Several connected vaults are named ${ref}; pass the vault id instead`);
+    }
+    if (!named.length) {
+        const connected = all.map(vault => `${vault.name} (${vault.id})`).join(', ') || 'none';
+        throw new Error(`Vault not connected: ${ref}. Connected vaults: ${connected}`);
+    }
+    return named[0];
+}
+
+// OBSIDIAN_MCP_DEFAULT_VAULT while that vault is connected, otherwise the
+// vault that has been connected longest
+function defaultVault() {
+    if (DEFAULT_VAULT) {
+        try {
+            return findVault(DEFAULT_VAULT);
+        } catch (error) {
+            // Not connected right now; fall back
+        }
+    }
+    return vaults.values().next().value || null;
+}
+
+function targetVault(ref) {
+    if (!vaults.size) {
+        throw new Error('Not connected to Obsidian plugin');
+    }
+    return ref === undefined || ref === null || ref === '' ? defaultVault() : findVault(String(ref));
+}
+
+// Every tool any connected vault offers, with an optional vault argument added.
+// The default vault's definition wins when vaults disagree.
+function listTools() {
+    const tools = new Map();
+    const ordered = [defaultVault(), ...vaults.values()].filter(Boolean);
+    for (const vault of ordered) {
+        for (const tool of vault.tools) {
+            if (!tools.has(tool.name)) {
+                tools.set(tool.name, {
+                    ...tool,
+                    inputSchema: {
+                        ...tool.inputSchema,
+                        properties: { ...(tool.inputSchema?.properties || {}), vault: VAULT_ARGUMENT }
+                    }
+                });
+            }
+        }
+    }
+    return [LIST_VAULTS_TOOL, ...tools.values()];
+}
+
+function listVaults() {
+    const current = defaultVault();
+    return {
+        default: current ? current.id : null,
+        vaults: [...vaults.values()].map(vault => ({
+            id: vault.id,
+            name: vault.name,
+            default: vault === current,
+            connectedAt: vault.connectedAt,
+            tools: vault.tools.length
+        }))
+    };
+}
+
+// Handshake, then plugin traffic, for one WebSocket connection
+function handleConnection(ws) {
+    log('Client connected, waiting for the plugin hello');
+
+    // Nothing but the handshake is accepted until the client has proven
+    // it is the plugin
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let authenticated = false;
+    const handshakeTimeout = setTimeout(() => {
+        log('No hello from client, closing connection');
+        ws.close(4001, 'Handshake timed out');
+    }, HANDSHAKE_TIMEOUT_MS);
+    ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'hello',
+        params: { role: 'bridge', protocolVersion: PROTOCOL_VERSION, nonce }
+    }));
+
+    ws.on('message', (data) => {
+        try {
+            const response = JSON.parse(data.toString());
+            log('Received from Obsidian:', response);
+
+            if (!authenticated) {
+                const rejection = helloRejection(SECRET, response, nonce);
+                if (rejection) {
+                    log('Rejecting client:', rejection);
+                    ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'hello/rejected', params: { reason: rejection } }));
+                    ws.close(4003, 'Handshake failed');
+                    return;
+                }
+                const { vaultId, nonce: pluginNonce } = response.params;
+                ws.send(JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'hello/accepted',
+                    params: {
+                        role: 'bridge',
+                        protocolVersion: PROTOCOL_VERSION,
+                        vaultId,
+                        proof: handshakeProof(SECRET, 'bridge', pluginNonce, nonce, vaultId)
+                    }
+                }));
+                log(`Obsidian plugin connected (vault ${response.params.vaultName || vaultId})`);
+
+                // A vault reconnecting replaces its old connection and keeps its
+                // place; other vaults stay connected alongside it
+                const existing = vaults.get(vaultId);
+                if (existing) {
+                    log(`Replacing existing connection for vault ${existing.name}`);
+                    existing.ws.close();
+                }
+                vaults.set(vaultId, {
+                    id: vaultId,
+                    name: String(response.params.vaultName || vaultId),
+                    ws,
+                    tools: [],
+                    connectedAt: new Date().toISOString()
+                });
+                // Only now, so a hello that fails halfway still times out
+                clearTimeout(handshakeTimeout);
+                authenticated = true;
+                notifyToolListChanged();
+                return;
+            }
+
+            // Messages with a method are notifications from the plugin, not responses
+            if (response.method) {
+                handlePluginNotification(ws, response);
+                return;
+            }
+
+            // Only the vault a request went to may answer it
+            if (pendingRequests.get(response.id)?.ws === ws) {
+                const { resolve, reject, timeout } = pendingRequests.get(response.id);
+                clearTimeout(timeout);
+                pendingRequests.delete(response.id);
+
+                if (response.error) {
+                    reject(new Error(typeof response.error === 'object' ? response.error.message : response.error));
+                } else {
+                    resolve(response.result);  // Already a CallToolResult formatted by the plugin
+                }
+            } else {
+                log('No pending request for response:', response);
+            }
+        } catch (error) {
+            log('Error handling WebSocket message:', error);
+            // A client that has not proven itself gets no second try
+            if (!authenticated) {
+                ws.close(4003, 'Handshake failed');
+            }
+        }
+    });
+
+    ws.on('close', () => {
+        clearTimeout(handshakeTimeout);
+        // Reject the requests sent over this connection
+        for (const [id, pending] of pendingRequests.entries()) {
+            if (pending.ws === ws) {
+                clearTimeout(pending.timeout);
+                pending.reject(new Error('WebSocket connection closed'));
+                pendingRequests.delete(id);
+            }
+        }
+
+        // A failed handshake or a replaced connection leaves the registry alone
+        const vault = vaultForConnection(ws);
+        if (vault) {
+            log(`Obsidian plugin disconnected (vault ${vault.name})`);
+            vaults.delete(vault.id);
+            notifyToolListChanged();
+        }
+    });
+
+    ws.on('error', (error) => {
+        log('WebSocket connection error:', error);
+    });
+}
+
+// Handle notifications pushed by the plugin
+function handlePluginNotification(ws, message) {
+    switch (message.method) {
+        case 'tools/catalog': {
+            const vault = vaultForConnection(ws);
+            if (!vault) {
+                break;
+            }
+            vault.tools = Array.isArray(message.params?.tools) ? message.params.tools : [];
+            log(`Received tool catalogue from ${vault.name} (${vault.tools.length} tools)`);
+            // Sent on every connect and whenever the plugin's tools change
+            notifyToolListChanged();
+            break;
+        }
+        case 'requests/extend_timeout': {
+            // The plugin is waiting on the user, e.g. for a tool approval; that
+            // wait comes on top of the time the request itself gets
+            const pending = pendingRequests.get(message.params?.id);
+            const extraMs = Number(message.params?.timeoutMs);
+            if (pending && Number.isFinite(extraMs) && extraMs > 0) {
+                log(`Extending timeout of request ${message.params.id} by ${extraMs} ms`);
+                pending.extend(extraMs);
+            }
+            break;
+        }
+        default:
+            log('Unknown notification from plugin:', message.method);
+    }
+}
+
+// MCP side of the bridge. The SDK server takes care of framing, protocol
+// version negotiation, ping and cancellation; tools come from the vaults.
+const mcpServer = new Server(
+    { name: 'obsidian-devtools', version: '1.0.0' },
+    { capabilities: { tools: { listChanged: true } } }
+);
+
+mcpServer.oninitialized = () => {
+    clientInitialized = true;
+    log('MCP client initialized:', mcpServer.getClientVersion());
+};
+
+mcpServer.onerror = (error) => {
+    log('MCP error:', error);
+};
+
+// Served from the catalogues the plugins send when they connect
+mcpServer.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+
+mcpServer.setRequestHandler(CallToolRequestSchema, async (request, { signal }) => {
+    const { name } = request.params;
+    log('tools/call:', request.params);
+    if (name === LIST_VAULTS_TOOL.name) {
+        return toolResult(listVaults());
+    }
+    // The vault argument is for the bridge; the plugin never sees it
+    const { vault: vaultRef, ...args } = request.params.arguments || {};
+    let vault;
+    try {
+        vault = targetVault(vaultRef);
+    } catch (error) {
+        log('tools/call - No target vault:', error.message);
+        return toolErrorResult(error.message);
+    }
+    // Before the catalogue arrives the plugin is left to reject unknown tools itself
+    if (vault.tools.length && !vault.tools.some(tool => tool.name === name)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    try {
+        const result = await forwardToObsidian(vault, { name, arguments: args }, signal);
+        log('tools/call - Got result from Obsidian:', result);
+        return result;
+    } catch (error) {
+        log('tools/call - Error:', error);
+        return toolErrorResult(error.message || 'Error executing command');
+    }
+});
+
+// Start answering the MCP client on stdio
+function connectStdio() {
+    return mcpServer.connect(new StdioServerTransport());
+}
+
+// Build a CallToolResult for tools the bridge answers itself, such as list_vaults
+function toolResult(value) {
+    return {
+        content: [{ type: 'text', text: JSON.stringify(value, null, 2) }],
+        structuredContent: value,
+        isError: false
+    };
+}
+
+// Build a CallToolResult for failures that happen before the plugin can answer
+// (no connection, timeouts, dropped sockets). The plugin formats its own results.
+function toolErrorResult(message) {
+    return {
+        content: [{ type: 'text', text: message }],
+        isError: true
+    };
+}
+
+let nextRequestId = 1;
+
+// Tools that wait (e.g. wait_for) take a timeoutMs argument; give them that long
+// plus a margin for the reply, but never less than the default
+function requestTimeout(params) {
+    const requested = Number(params.arguments?.timeoutMs);
+    if (!Number.isFinite(requested) || requested <= 0) {
+        return REQUEST_TIMEOUT_MS;
+    }
+    return Math.min(Math.max(requested + 5000, REQUEST_TIMEOUT_MS), MAX_REQUEST_TIMEOUT_MS);
+}
+
+// Forward request to Obsidian plugin
+function forwardToObsidian(vault, params, signal) {
+    const id = nextRequestId++;
+    log('Forwarding to Obsidian:', vault.name, id, params);
+
+    const timeoutMs = requestTimeout(params);
+    return new Promise((resolve, reject) => {
+        // Set up timeout
+        const expireAfter = (ms) => setTimeout(() => {
+            if (pendingRequests.has(id)) {
+                pendingRequests.delete(id);
+                reject(new Error(`Request timed out after ${ms / 1000} seconds`));
+            }
+        }, ms);
+
+        // Store request handlers; extend() restarts the timer with extra time
+        const pending = { resolve, reject, timeout: expireAfter(timeoutMs), ws: vault.ws };
+        pending.extend = (extraMs) => {
+            clearTimeout(pending.timeout);
+            pending.timeout = expireAfter(timeoutMs + extraMs);
+        };
+        pendingRequests.set(id, pending);
+
+        // The client gave up on the call; the plugin may still finish it, but
+        // its reply is dropped
+        signal?.addEventListener('abort', () => {
+            if (pendingRequests.get(id) === pending) {
+                clearTimeout(pending.timeout);
+                pendingRequests.delete(id);
+                reject(new Error('Request cancelled by the client'));
+            }
+        });
+
+        // Send request to plugin
+        try {
+            const request = {
+                id,
+                name: params.name,
+                arguments: params.arguments || {},
+                jsonrpc: '2.0'
+            };
+            log('Sending request to plugin:', request);
+            vault.ws.send(JSON.stringify(request));
+        } catch (error) {
+            clearTimeout(pending.timeout);
+            pendingRequests.delete(id);
+            reject(error);
+        }
+    });
+}
+
+// Tell the client to fetch tools/list again after vaults or catalogues change
+function notifyToolListChanged() {
+    if (!clientInitialized) {
+        log('Skipping tools/list_changed, client not initialized yet');
+        return;
+    }
+    mcpServer.sendToolListChanged().catch(error => {
+        log('Error sending tools/list_changed:', error);
+    });
+}
+
+module.exports = { log, verifyClient, handleConnection, connectStdio, vaults, pendingRequests };
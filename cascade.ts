@@ -0,0 +1,195 @@
+// Selector splitting, specificity and cascade ordering, used by the selector
+// engine and get_matched_rules. Nothing here touches Obsidian or the DOM.
+
+// [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+export type Specificity = [number, number, number];
+
+// Pseudo-classes that take the specificity of their most specific argument
+const SELECTOR_LIST_PSEUDOS = new Set(['is', 'not', 'has', 'matches', '-webkit-any']);
+// Pseudo-elements that may still be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+// Index just past the bracket that closes the one at `open`, skipping quoted strings
+function skipBalanced(selector: string, open: number): number {
+    const opener = selector[open];
+    const closer = opener === '(' ? ')' : ']';
+    let depth = 0;
+    let quote: string | null = null;
+    for (let i = open; i < selector.length; i++) {
+        const ch = selector[i];
+        if (ch === '\\') {
+            i++;
+        } else if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === opener) {
+            depth++;
+        } else if (ch === closer && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return selector.length;
+}
+
+function skipIdent(selector: string, start: number): number {
+    let i = start;
+    while (i < selector.length) {
+        if (selector[i] === '\\') {
+            i += 2;
+        } else if (/[\w\-\u00a0-\uffff]/.test(selector[i])) {
+            i++;
+        } else {
+            break;
+        }
+    }
+    return i;
+}
+
+/**
+ * Split on `separator` where it appears outside brackets, parentheses and
+ * quotes. A separator inside a longer run of the same character (">>" within
+ * ">>>") is not split on. Parts are trimmed and may be empty.
+ */
+export function splitTopLevel(text: string, separator: string): string[] {
+    const parts: string[] = [];
+    let start = 0;
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i += 2;
+        } else if (ch === '(' || ch === '[') {
+            i = skipBalanced(text, i);
+        } else if (ch === '"' || ch === '\'') {
+            const end = text.indexOf(ch, i + 1);
+            i = end === -1 ? text.length : end + 1;
+        } else if (text.startsWith(separator, i)
+            && text[i - 1] !== separator[0] && text[i + separator.length] !== separator[separator.length - 1]) {
+            parts.push(text.slice(start, i).trim());
+            i += separator.length;
+            start = i;
+        } else {
+            i++;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+}
+
+// Split a selector list on top-level commas, leaving :is(a, b) and [title="a, b"] intact
+export function splitSelectorList(selectorText: string): string[] {
+    return splitTopLevel(selectorText, ',').filter(part => part.length > 0);
+}
+
+export function compareSpecificity(a: Specificity, b: Specificity): number {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+export function maxSpecificity(selectors: string[]): Specificity {
+    return selectors.map(selectorSpecificity)
+        .reduce((max, value) => compareSpecificity(value, max) > 0 ? value : max, [0, 0, 0] as Specificity);
+}
+
+// Specificity of a single complex selector, following Selectors Level 4
+export function selectorSpecificity(selector: string): Specificity {
+    const result: Specificity = [0, 0, 0];
+    const add = (value: Specificity) => value.forEach((count, i) => { result[i] += count; });
+    let i = 0;
+    while (i < selector.length) {
+        const ch = selector[i];
+        if (ch === '#') {
+            result[0]++;
+            i = skipIdent(selector, i + 1);
+        } else if (ch === '.') {
+            result[1]++;
+            i = skipIdent(selector, i + 1);
+        } else if (ch === '[') {
+            result[1]++;
+            i = skipBalanced(selector, i);
+        } else if (ch === ':') {
+            const pseudoElement = selector[i + 1] === ':';
+            const nameStart = i + (pseudoElement ? 2 : 1);
+            i = skipIdent(selector, nameStart);
+            const name = selector.slice(nameStart, i).toLowerCase();
+            let args: string | null = null;
+            if (selector[i] === '(') {
+                const end = skipBalanced(selector, i);
+                args = selector.slice(i + 1, end - 1);
+                i = end;
+            }
+            if (pseudoElement || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+                result[2]++;
+            } else if (name === 'where') {
+                // :where() adds nothing
+            } else if (SELECTOR_LIST_PSEUDOS.has(name) && args !== null) {
+                add(maxSpecificity(splitSelectorList(args)));
+            } else {
+                result[1]++;
+                // :nth-child(2n of .a) also counts its selector list
+                const of = args?.match(/\sof\s([\s\S]+)$/i);
+                if (of && (name === 'nth-child' || name === 'nth-last-child')) {
+                    add(maxSpecificity(splitSelectorList(of[1])));
+                }
+            }
+        } else if (/[a-zA-Z_\-\u00a0-\uffff\\]/.test(ch)) {
+            result[2]++;
+            i = skipIdent(selector, i);
+        } else {
+            // Combinators, whitespace and the universal selector
+            i++;
+        }
+    }
+    return result;
+}
+
+// A style rule together with where it sits in the cascade
+export interface CascadeRule {
+    style: CSSStyleDeclaration;
+    selectorText: string;
+    selectors: string[];
+    stylesheet: number | null;
+    // Document order across all stylesheets
+    order: number;
+    // Index into the layer order; unlayered rules come after every layer
+    layer: number;
+    layerName: string | null;
+    conditions: string[];
+}
+
+export interface MatchedRule {
+    rule: CascadeRule;
+    // null for the element's style attribute
+    selector: string | null;
+    specificity: Specificity | null;
+}
+
+export interface CascadeDeclaration {
+    match: MatchedRule;
+    property: string;
+    value: string;
+    important: boolean;
+}
+
+// Positive when rule `a` takes precedence over rule `b` for normal declarations
+export function compareRulePrecedence(a: MatchedRule, b: MatchedRule): number {
+    const inlineA = a.selector === null ? 1 : 0;
+    const inlineB = b.selector === null ? 1 : 0;
+    return inlineA - inlineB
+        || a.rule.layer - b.rule.layer
+        || compareSpecificity(a.specificity ?? [0, 0, 0], b.specificity ?? [0, 0, 0])
+        || a.rule.order - b.rule.order;
+}
+
+// Positive when declaration `a` wins over `b` for the same property
+export function compareDeclarations(a: CascadeDeclaration, b: CascadeDeclaration): number {
+    if (a.important !== b.important) {
+        return a.important ? 1 : -1;
+    }
+    if (a.important && a.match.rule.layer !== b.match.rule.layer
+        && a.match.selector !== null && b.match.selector !== null) {
+        // Layer order is reversed for !important declarations
+        return b.match.rule.layer - a.match.rule.layer;
+    }
+    return compareRulePrecedence(a.match, b.match);
+}
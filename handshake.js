@@ -0,0 +1,40 @@
+// Handshake shared by the bridges and the plugin. Each side proves it knows
+// the per-install secret by signing the other side's nonce together with its
+// own nonce and the vault id.
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 1;
+// Proofs are hex-encoded SHA-256 HMACs
+const PROOF_PATTERN = /^[0-9a-f]{64}$/;
+
+function handshakeProof(secret, role, peerNonce, nonce, vaultId) {
+    return crypto.createHmac('sha256', secret).update(`${role}:${peerNonce}:${nonce}:${vaultId}`).digest('hex');
+}
+
+// Compared in constant time; anything but a well-formed proof is a mismatch,
+// so timingSafeEqual always gets two buffers of the same byte length
+function proofMatches(expected, actual) {
+    return typeof actual === 'string' && PROOF_PATTERN.test(actual) &&
+        crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// Check the plugin's hello against the nonce the bridge sent it; returns why
+// it was rejected, or null when it is genuine
+function helloRejection(secret, message, nonce) {
+    const params = (message && message.params) || {};
+    if (!message || message.method !== 'hello' || params.role !== 'plugin') {
+        return 'Expected a hello from the plugin before anything else';
+    }
+    if (params.protocolVersion !== PROTOCOL_VERSION) {
+        return `Protocol version mismatch: bridge speaks ${PROTOCOL_VERSION}, plugin ${params.protocolVersion}`;
+    }
+    if (typeof params.vaultId !== 'string' || !params.vaultId || typeof params.nonce !== 'string' || !params.nonce) {
+        return 'Hello is missing vaultId or nonce';
+    }
+    if (!proofMatches(handshakeProof(secret, 'plugin', nonce, params.nonce, params.vaultId), params.proof)) {
+        return 'Invalid proof: the plugin does not have this bridge\'s secret';
+    }
+    return null;
+}
+
+module.exports = { PROTOCOL_VERSION, handshakeProof, proofMatches, helloRejection };
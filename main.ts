@@ -1,4 +1,56 @@
-import { App, Plugin } from 'obsidian';
+import {
+    App,
+    CachedMetadata,
+    Command,
+    Events,
+    Hotkey,
+    MarkdownView,
+    Modal,
+    Plugin,
+    Platform,
+    PluginManifest,
+    PluginSettingTab,
+    Pos,
+    ReferenceCache,
+    RequestUrlParam,
+    Setting,
+    TAbstractFile,
+    TFile,
+    TFolder,
+    WorkspaceItem,
+    WorkspaceLeaf,
+    WorkspaceSidedock,
+    WorkspaceSplit,
+    WorkspaceTabs,
+    WorkspaceWindow,
+    getAllTags,
+    getLinkpath,
+    normalizePath,
+    requestUrl
+} from 'obsidian';
+import { syntaxTree } from '@codemirror/language';
+import { EditorSelection, EditorState, Extension, StateField, Text } from '@codemirror/state';
+import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { Decoration, DecorationSet, EditorView, PluginValue, ViewPlugin, WidgetType } from '@codemirror/view';
+import type { BrowserWindow, WebContents } from 'electron';
+import {
+    CascadeDeclaration,
+    CascadeRule,
+    MatchedRule,
+    compareDeclarations,
+    compareRulePrecedence,
+    compareSpecificity,
+    selectorSpecificity,
+    splitSelectorList,
+    splitTopLevel
+} from './cascade';
+import { PROTOCOL_VERSION, handshakeProof, proofMatches } from './handshake';
+import { matchWindow } from './windows';
+import { hasDotSegments, isInsideFolders } from './paths';
+import { ToolPermission, resolveToolPermission } from './permissions';
 
 interface DevToolsInspectResult {
     nodeId: string;
@@ -10,334 +62,6421 @@ interface DevToolsInspectResult {
 interface BridgeMessage {
     id: number;
     name: string;
-    arguments: any;
+    arguments?: ToolArguments;
 }
 
+// Input for webContents.sendInputEvent; mouse events carry window coordinates in CSS pixels
+interface SyntheticInputEvent {
+    type: string;
+    x?: number;
+    y?: number;
+    modifiers?: string[];
+    [key: string]: unknown;
+}
+
+// hello, hello/accepted and hello/rejected, exchanged before any command
+interface HandshakeMessage {
+    method?: string;
+    params?: { protocolVersion?: unknown; nonce?: unknown; proof?: unknown; reason?: unknown };
+}
+
+export type ToolContent =
+    | { type: 'text'; text: string }
+    | { type: 'image'; data: string; mimeType: string };
+
+// Shape of an MCP CallToolResult as sent back through the bridge
+interface CallToolResult {
+    content: ToolContent[];
+    structuredContent?: Record<string, unknown>;
+    isError: boolean;
+}
+
+// Tool metadata advertised to the bridge, which serves tools/list from it
+export interface ToolDefinition {
+    name: string;
+    description: string;
+    inputSchema: Record<string, unknown>;
+    outputSchema?: Record<string, unknown>;
+}
+
+// Call arguments as sent by the MCP client, which checks them against the inputSchema
+export type ToolArguments = Record<string, unknown>;
+
+// What other plugins pass to registerTool(). The handler receives the call
+// arguments, typed as `Args`, and returns a plain object, which is formatted
+// as MCP content.
+export interface ToolRegistration<Args extends object = ToolArguments> extends ToolDefinition {
+    handler: (args: Args) => unknown;
+}
+
+interface RegisteredTool extends ToolRegistration {
+    // Plugin id of the registering plugin; undefined for built-in tools
+    owner?: string;
+}
+
+type ToolApprovalDecision = 'allow' | 'session' | 'deny' | 'timeout';
+
+interface DevToolsSettings {
+    // Expose evaluate_javascript to MCP clients
+    enableEvaluate: boolean;
+    // Ask for confirmation in Obsidian before each evaluation
+    confirmEvaluate: boolean;
+    // Vault folders the vault tools may write to; '/' allows the whole vault
+    writableFolders: string[];
+    // Record fetch, XMLHttpRequest and requestUrl traffic
+    captureNetwork: boolean;
+    // Replace credentials in captured request/response headers
+    redactAuthHeaders: boolean;
+    // Permission for tools without an entry in toolPermissions
+    defaultToolPermission: ToolPermission;
+    // Per-tool permissions, by tool name
+    toolPermissions: Record<string, ToolPermission>;
+    // Unanswered approval requests are denied after this many seconds
+    approvalTimeoutSeconds: number;
+}
+
+const TOOL_PERMISSION_OPTIONS: Record<ToolPermission, string> = {
+    allow: 'Allow',
+    ask: 'Ask',
+    deny: 'Deny'
+};
+
+const DEFAULT_SETTINGS: DevToolsSettings = {
+    enableEvaluate: false,
+    confirmEvaluate: true,
+    writableFolders: [],
+    captureNetwork: false,
+    redactAuthHeaders: true,
+    defaultToolPermission: 'allow',
+    toolPermissions: {},
+    approvalTimeoutSeconds: 60
+};
+
 // Try ports in this range (27125-27135) to align with auto_port_bridge.js
 const WS_PORTS = Array.from({length: 11}, (_, i) => 27125 + i);
 const DEBUG = true;
+const HANDSHAKE_TIMEOUT_MS = 5000;
+// Where the bridge writes the per-install secret on first start
+const BRIDGE_SECRET_PATH = join(homedir(), '.obsidian-devtools-mcp', 'secret');
+// MCP clients expect tool names made of these characters
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function log(...args: any[]) {
+    if (DEBUG) {
+        console.log('[DevTools MCP]', ...args);
+    }
+}
+
+/**
+ * Returned by tool handlers that build their own MCP content, such as
+ * screenshots, instead of a plain object to be serialized as JSON.
+ */
+export class ContentResult {
+    constructor(
+        public content: ToolContent[],
+        public structuredContent?: Record<string, unknown>
+    ) {}
+}
+
+// Wrap a tool's return value as MCP content. Tools return plain objects so
+// the same value can be used as structuredContent and as its JSON text form.
+function formatToolResult(value: unknown): CallToolResult {
+    if (value instanceof ContentResult) {
+        return {
+            content: value.content,
+            structuredContent: value.structuredContent,
+            isError: false
+        };
+    }
+    const structured = value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? value as Record<string, unknown>
+        : { result: value };
+    return {
+        content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+        structuredContent: structured,
+        isError: false
+    };
+}
+
+// Tool failures are reported inside the result so the client can show them
+// to the model, rather than as a JSON-RPC protocol error
+function formatToolError(error: unknown): CallToolResult {
+    const message = (error as { message?: string } | null)?.message || String(error) || 'Unknown command error';
+    return {
+        content: [{ type: 'text', text: message }],
+        isError: true
+    };
+}
+
+interface SerializeOptions {
+    maxDepth: number;
+    maxItems: number;
+    maxStringLength: number;
+}
+
+const DEFAULT_SERIALIZE_OPTIONS: SerializeOptions = {
+    maxDepth: 4,
+    maxItems: 100,
+    maxStringLength: 10000
+};
+
+// Short one-line description of a DOM node, e.g. <div id="x" class="a b">
+function describeNode(node: Node): string {
+    if (isElement(node)) {
+        const id = node.id ? ` id="${node.id}"` : '';
+        const cls = typeof node.className === 'string' && node.className ? ` class="${node.className}"` : '';
+        return `<${node.tagName.toLowerCase()}${id}${cls}>`;
+    }
+    if (node.nodeType === Node.TEXT_NODE) {
+        return `#text "${(node.textContent || '').slice(0, 50)}"`;
+    }
+    return node.nodeName;
+}
+
+// Shorten long strings, saying how much was cut
+function truncateText(text: string, maxLength: number): string {
+    return text.length > maxLength
+        ? `${text.slice(0, maxLength)}... [truncated ${text.length - maxLength} chars]`
+        : text;
+}
+
+// query_elements stops expanding children once this many nodes are serialized
+const MAX_TREE_NODES = 300;
+
+interface ElementTreeOptions {
+    // Levels of children to expand below each match; 0 returns only the match
+    depth: number;
+    maxChildren: number;
+    maxTextLength: number;
+    maxAttributeLength: number;
+    includeGeometry: boolean;
+    includeSelectorPath: boolean;
+}
+
+// A selector matching only this element: tag names with :nth-of-type, anchored at the closest unique id
+function selectorPath(element: Element): string {
+    const doc = element.ownerDocument;
+    const parts: string[] = [];
+    for (let current: Element | null = element; current; current = current.parentElement) {
+        if (current.id && doc.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+        const tag = current.localName;
+        const siblings = current.parentElement
+            ? Array.from(current.parentElement.children).filter(sibling => sibling.localName === tag)
+            : [current];
+        parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+    }
+    return parts.join(' > ');
+}
+
+function describeGeometry(element: Element) {
+    const rect = element.getBoundingClientRect();
+    const view = element.ownerDocument.defaultView ?? window;
+    const hasBox = rect.width > 0 && rect.height > 0;
+    // checkVisibility also accounts for hidden or transparent ancestors
+    const checkVisibility = (element as { checkVisibility?: (options: object) => boolean }).checkVisibility;
+    let visible: boolean;
+    if (typeof checkVisibility === 'function') {
+        visible = hasBox && checkVisibility.call(element, { checkOpacity: true, checkVisibilityCSS: true });
+    } else {
+        const style = view.getComputedStyle(element);
+        visible = hasBox && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+    }
+    return {
+        rect: {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        },
+        visible,
+        inViewport: hasBox && rect.right > 0 && rect.bottom > 0
+            && rect.left < view.innerWidth && rect.top < view.innerHeight
+    };
+}
+
+/**
+ * Describe an element and, down to options.depth, its children. Long text and
+ * attribute values are truncated and `budget` caps the total number of nodes,
+ * so large subtrees can't blow up the response. Children left out are counted
+ * in truncatedChildren.
+ */
+function serializeElementTree(
+    element: Element,
+    options: ElementTreeOptions,
+    budget: { remaining: number; exhausted: boolean },
+    depth = 0
+): Record<string, unknown> {
+    budget.remaining--;
+    const node: Record<string, unknown> = {
+        tagName: element.localName,
+        id: element.id,
+        className: element.getAttribute('class') ?? '',
+        attributes: Object.fromEntries(Array.from(element.attributes)
+            .map(attr => [attr.name, truncateText(attr.value, options.maxAttributeLength)])),
+        textContent: truncateText((element.textContent ?? '').replace(/\s+/g, ' ').trim(), options.maxTextLength),
+        childCount: element.children.length
+    };
+    if (options.includeSelectorPath) {
+        node.selectorPath = selectorPath(element);
+    }
+    if (options.includeGeometry) {
+        Object.assign(node, describeGeometry(element));
+    }
+
+    if (depth < options.depth && element.children.length > 0) {
+        const children: Record<string, unknown>[] = [];
+        for (const child of Array.from(element.children).slice(0, options.maxChildren)) {
+            if (budget.remaining <= 0) {
+                budget.exhausted = true;
+                break;
+            }
+            children.push(serializeElementTree(child, options, budget, depth + 1));
+        }
+        node.children = children;
+        if (children.length < element.children.length) {
+            node.truncatedChildren = element.children.length - children.length;
+        }
+    }
+    return node;
+}
+
+// Window that owns a node; elements in popouts and iframes have their own
+function viewOf(node: Node): Window {
+    return node.ownerDocument?.defaultView ?? window;
+}
+
+function isElement(node: Node | null): node is Element {
+    // nodeType rather than instanceof, which fails for nodes from other windows
+    return node?.nodeType === Node.ELEMENT_NODE;
+}
+
+// Duck-typed for the same reason, so popout nodes and windows are recognised too
+function isNode(value: object): value is Node {
+    const node = value as Partial<Node>;
+    return typeof node.nodeType === 'number' && typeof node.nodeName === 'string';
+}
+
+function isWindow(value: object): value is Window {
+    const win = value as Partial<Window>;
+    return win.window === value && typeof win.document === 'object';
+}
+
+type SelectorScope = Document | Element | ShadowRoot;
+
+const SELECTOR_SYNTAX = 'CSS by default, where "a >>> b" also looks inside shadow roots and same-origin iframes. ' +
+    'Prefix with xpath= for XPath, text= for elements containing text (text="Save" for exact, text=/re/i), ' +
+    'or role= for an ARIA role with optional accessible name, e.g. role=button[name="Save"]. ' +
+    'Join steps with " >> " to search inside the previous matches, e.g. .modal >> text=Save';
+const WINDOW_ARGUMENT = {
+    type: 'string',
+    description: 'Window to search: "main" (default), "all", a popout window id from list_windows, ' +
+        'or a leaf id for the window showing that leaf'
+};
+
+// For tools that act on a single window
+const SINGLE_WINDOW_ARGUMENT = {
+    type: 'string',
+    description: 'Window to act in: "main" (default), a popout window id from list_windows, ' +
+        'or a leaf id for the window showing that leaf'
+};
+
+// Implicit ARIA roles of common elements; explicit role attributes take precedence
+const IMPLICIT_ROLES: Record<string, string | ((element: Element) => string | null)> = {
+    a: element => element.hasAttribute('href') ? 'link' : null,
+    article: 'article',
+    aside: 'complementary',
+    button: 'button',
+    dialog: 'dialog',
+    form: 'form',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    hr: 'separator',
+    img: element => element.getAttribute('alt') === '' ? 'presentation' : 'img',
+    input: element => {
+        const type = (element.getAttribute('type') ?? 'text').toLowerCase();
+        switch (type) {
+            case 'button': case 'submit': case 'reset': case 'image': return 'button';
+            case 'checkbox': return 'checkbox';
+            case 'radio': return 'radio';
+            case 'range': return 'slider';
+            case 'number': return 'spinbutton';
+            case 'search': return 'searchbox';
+            case 'hidden': return null;
+            default: return 'textbox';
+        }
+    },
+    li: 'listitem',
+    main: 'main',
+    nav: 'navigation',
+    ol: 'list',
+    option: 'option',
+    progress: 'progressbar',
+    select: element => element.hasAttribute('multiple') ? 'listbox' : 'combobox',
+    summary: 'button',
+    table: 'table',
+    td: 'cell',
+    textarea: 'textbox',
+    th: 'columnheader',
+    tr: 'row',
+    ul: 'list'
+};
+
+function normalizeText(text: string | null): string {
+    return (text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function ariaRole(element: Element): string | null {
+    const explicit = element.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (explicit) {
+        return explicit;
+    }
+    const implicit = IMPLICIT_ROLES[element.localName];
+    return typeof implicit === 'function' ? implicit(element) : implicit ?? null;
+}
+
+// Simplified accessible name: labelledby, aria-label, labels, alt/title/placeholder, then text
+function accessibleName(element: Element): string {
+    const doc = element.ownerDocument;
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const text = labelledBy.split(/\s+/).map(id => normalizeText(doc.getElementById(id)?.textContent ?? '')).join(' ').trim();
+        if (text) {
+            return text;
+        }
+    }
+    const label = element.getAttribute('aria-label');
+    if (label?.trim()) {
+        return label.trim();
+    }
+    const labels: NodeListOf<HTMLLabelElement> | undefined = (element as HTMLInputElement).labels ?? undefined;
+    if (labels?.length) {
+        return Array.from(labels).map(labelEl => normalizeText(labelEl.textContent)).join(' ');
+    }
+    for (const attribute of ['alt', 'title', 'placeholder']) {
+        const value = element.getAttribute(attribute);
+        if (value?.trim()) {
+            return value.trim();
+        }
+    }
+    return normalizeText(element.textContent);
+}
+
+// Shadow root and same-origin frame document of an element, where it has them
+function innerRoots(element: Element): SelectorScope[] {
+    const roots: SelectorScope[] = [];
+    if (element.shadowRoot) {
+        roots.push(element.shadowRoot);
+    }
+    try {
+        const frameDocument = (element as HTMLIFrameElement).contentDocument;
+        if (frameDocument) {
+            roots.push(frameDocument);
+        }
+    } catch (error) {
+        // Cross-origin frames can't be entered
+    }
+    return roots;
+}
+
+// querySelectorAll that also searches every shadow root and frame below the scope
+function deepQueryAll(scope: SelectorScope, css: string): Element[] {
+    const results = Array.from(scope.querySelectorAll(css));
+    scope.querySelectorAll('*').forEach(element => {
+        innerRoots(element).forEach(root => results.push(...deepQueryAll(root, css)));
+    });
+    return results;
+}
+
+function matchCssStep(scope: SelectorScope, step: string): Element[] {
+    // "a >>> b" finds b anywhere below a, inside shadow roots and frames too
+    const [first, ...rest] = splitTopLevel(step, '>>>');
+    let current: Element[] = first ? Array.from(scope.querySelectorAll(first)) : [];
+    let scopes: SelectorScope[] = first ? [] : [scope];
+    for (const part of rest) {
+        scopes.push(...current.flatMap(element => [element, ...innerRoots(element)]));
+        current = scopes.flatMap(inner => part ? deepQueryAll(inner, part) : []);
+        scopes = [];
+    }
+    return current;
+}
+
+function matchXPathStep(scope: SelectorScope, expression: string): Element[] {
+    const doc = scope.nodeType === Node.DOCUMENT_NODE ? scope as Document : (scope as Node).ownerDocument as Document;
+    const snapshot = doc.evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const results: Element[] = [];
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+        const node = snapshot.snapshotItem(i);
+        if (isElement(node)) {
+            results.push(node);
+        }
+    }
+    return results;
+}
+
+// Build a matcher for text=Save (contains, any case), text="Save" (exact) or text=/save/i
+function textMatcher(value: string): (text: string) => boolean {
+    const quoted = value.match(/^(["'])([\s\S]*)\1$/);
+    if (quoted) {
+        return text => text === normalizeText(quoted[2]);
+    }
+    const regex = value.match(/^\/([\s\S]+)\/([a-z]*)$/);
+    if (regex) {
+        const pattern = new RegExp(regex[1], regex[2]);
+        return text => pattern.test(text);
+    }
+    const needle = normalizeText(value).toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+}
+
+// Innermost elements whose text matches, so a match isn't repeated for every ancestor
+function matchTextStep(scope: SelectorScope, value: string): Element[] {
+    const matches = textMatcher(value);
+    const candidates = Array.from(scope.querySelectorAll('*'))
+        .filter(element => !['script', 'style', 'template'].includes(element.localName)
+            && matches(normalizeText(element.textContent)));
+    const matched = new Set(candidates);
+    return candidates.filter(element => !Array.from(element.children).some(child => matched.has(child)));
+}
+
+// role=button, role=button[name="Save"] (exact, any case) or role=button[name*="sav"] (contains)
+function matchRoleStep(scope: SelectorScope, value: string): Element[] {
+    const parsed = value.match(/^([\w-]+)\s*(?:\[\s*name\s*(\*?)=\s*(?:"([^"]*)"|'([^']*)'|([^\]]*))\s*\])?$/);
+    if (!parsed) {
+        throw new Error(`Invalid role selector: role=${value}`);
+    }
+    const [, role, contains, ...names] = parsed;
+    const name = names.find(candidate => candidate !== undefined);
+    const wanted = name === undefined ? null : normalizeText(name).toLowerCase();
+    return Array.from(scope.querySelectorAll('*')).filter(element => {
+        if (ariaRole(element) !== role) {
+            return false;
+        }
+        if (wanted === null) {
+            return true;
+        }
+        const actual = accessibleName(element).toLowerCase();
+        return contains ? actual.includes(wanted) : actual === wanted;
+    });
+}
+
+function matchSelectorStep(scope: SelectorScope, step: string): Element[] {
+    if (step.startsWith('xpath=')) {
+        return matchXPathStep(scope, step.slice('xpath='.length));
+    }
+    if (step.startsWith('/') || step.startsWith('(')) {
+        return matchXPathStep(scope, step);
+    }
+    if (step.startsWith('text=')) {
+        return matchTextStep(scope, step.slice('text='.length));
+    }
+    if (step.startsWith('role=')) {
+        return matchRoleStep(scope, step.slice('role='.length));
+    }
+    return matchCssStep(scope, step.startsWith('css=') ? step.slice('css='.length) : step);
+}
+
+/**
+ * Selector engine shared by the element tools. A selector is one or more
+ * steps joined by " >> ", each matched inside the results of the previous one:
+ *   .view-header          CSS; "a >>> b" also looks inside shadow roots and same-origin frames
+ *   xpath=//div[@title]   XPath, also used for anything starting with "/" or "("
+ *   text=Save             innermost elements containing the text; text="Save" is exact, text=/re/i a regex
+ *   role=button[name="Save"]  ARIA role with an optional accessible name ([name*=...] for contains)
+ * Matches are returned in document order per root, without duplicates.
+ */
+function querySelectorAllDeep(roots: SelectorScope[], selector: string): Element[] {
+    const steps = splitTopLevel(selector, '>>');
+    if (steps.some(step => !step)) {
+        throw new Error(`Invalid selector: ${selector}`);
+    }
+    let scopes: SelectorScope[] = roots;
+    let results: Element[] = [];
+    steps.forEach((step, i) => {
+        results = Array.from(new Set(scopes.flatMap(scope => matchSelectorStep(scope, step))));
+        if (i < steps.length - 1) {
+            scopes = results;
+        }
+    });
+    return results;
+}
+
+// Longest wait_for accepts; the bridge extends its request timeout to match
+const MAX_WAIT_MS = 300000;
+
+function sleep(ms: number): Promise<void> {
+    return new Promise(resolve => window.setTimeout(resolve, ms));
+}
+
+// Electron key codes for names that differ from DOM key names, keyed by lowercase name
+const KEY_ALIASES: Record<string, string> = {
+    arrowup: 'Up',
+    arrowdown: 'Down',
+    arrowleft: 'Left',
+    arrowright: 'Right',
+    up: 'Up',
+    down: 'Down',
+    left: 'Left',
+    right: 'Right',
+    esc: 'Escape',
+    escape: 'Escape',
+    return: 'Enter',
+    enter: 'Enter',
+    space: 'Space',
+    tab: 'Tab',
+    backspace: 'Backspace',
+    del: 'Delete',
+    delete: 'Delete',
+    insert: 'Insert',
+    home: 'Home',
+    end: 'End',
+    pageup: 'PageUp',
+    pagedown: 'PageDown'
+};
+
+interface KeyChord {
+    keyCode: string;
+    modifiers: string[];
+    // Character typed by the key, sent as a char event; null for shortcuts and non-printing keys
+    text: string | null;
+}
+
+// Mod is Cmd on macOS and Ctrl elsewhere, as in Obsidian's hotkey settings
+function normalizeModifier(name: string): string {
+    switch (name.trim().toLowerCase()) {
+        case 'mod':
+            return Platform.isMacOS ? 'meta' : 'control';
+        case 'ctrl':
+        case 'control':
+            return 'control';
+        case 'cmd':
+        case 'command':
+        case 'meta':
+        case 'win':
+            return 'meta';
+        case 'alt':
+        case 'option':
+            return 'alt';
+        case 'shift':
+            return 'shift';
+        default:
+            throw new Error(`Unknown modifier: ${name}`);
+    }
+}
+
+// Parse a chord such as "Mod+Shift+P", "Escape" or "Ctrl++"
+function parseKeyChord(chord: string): KeyChord {
+    const parts = chord.endsWith('++') ? [...chord.slice(0, -2).split('+'), '+'] : chord.split('+');
+    const key = parts.pop();
+    if (!key) {
+        throw new Error(`Invalid key chord: ${chord}`);
+    }
+    const modifiers = Array.from(new Set(parts.filter(part => part).map(normalizeModifier)));
+    const keyCode = KEY_ALIASES[key.toLowerCase()] ?? (key.length === 1 ? key.toUpperCase() : key);
+    const shortcut = modifiers.some(modifier => modifier !== 'shift');
+    let text: string | null = null;
+    if (!shortcut) {
+        if (key.length === 1) {
+            text = modifiers.includes('shift') ? key.toUpperCase() : key;
+        } else if (keyCode === 'Space') {
+            text = ' ';
+        } else if (keyCode === 'Enter') {
+            text = '\r';
+        }
+    }
+    return { keyCode, modifiers, text };
+}
+
+// The focused element, following focus into shadow roots and same-origin frames
+function describeFocus(doc: Document = document) {
+    let active: Element | null = doc.activeElement;
+    while (active) {
+        let inner: Element | null = active.shadowRoot?.activeElement ?? null;
+        if (!inner) {
+            try {
+                inner = (active as HTMLIFrameElement).contentDocument?.activeElement ?? null;
+            } catch (error) {
+                // Cross-origin frame
+            }
+        }
+        if (!inner || inner === active) {
+            break;
+        }
+        active = inner;
+    }
+    if (!active || active === active.ownerDocument.body) {
+        return null;
+    }
+    return {
+        element: describeNode(active),
+        selectorPath: selectorPath(active),
+        editable: (active as HTMLElement).isContentEditable || ['input', 'textarea', 'select'].includes(active.localName),
+        inEditor: !!active.closest('.cm-editor')
+    };
+}
+
+// Closest element at or above `element` that scrolls, falling back to the document
+function scrollContainer(element: Element | null): Element | null {
+    for (let current = element; current; current = current.parentElement) {
+        const style = viewOf(current).getComputedStyle(current);
+        if ((current.scrollHeight > current.clientHeight && /auto|scroll|overlay/.test(style.overflowY))
+            || (current.scrollWidth > current.clientWidth && /auto|scroll|overlay/.test(style.overflowX))) {
+            return current;
+        }
+    }
+    return element?.ownerDocument.scrollingElement ?? null;
+}
+
+type EditorPosition = number | { line: number; ch?: number };
+
+// Lines count from 0 here, as in Obsidian's Editor API; CodeMirror counts from 1
+function offsetToPosition(doc: Text, offset: number) {
+    const line = doc.lineAt(offset);
+    return { line: line.number - 1, ch: offset - line.from };
+}
+
+// Accept a document offset or an Obsidian-style {line, ch} position
+function resolveOffset(doc: Text, position: EditorPosition, name: string): number {
+    if (typeof position === 'number') {
+        if (!Number.isInteger(position) || position < 0 || position > doc.length) {
+            throw new Error(`${name} is outside the document (0-${doc.length})`);
+        }
+        return position;
+    }
+    if (position && typeof position.line === 'number') {
+        if (position.line < 0 || position.line >= doc.lines) {
+            throw new Error(`${name} line is outside the document (0-${doc.lines - 1})`);
+        }
+        const line = doc.line(position.line + 1);
+        return Math.min(line.from + Math.max(position.ch ?? 0, 0), line.to);
+    }
+    throw new Error(`${name} must be an offset or a {line, ch} position`);
+}
+
+// Syntax tree nodes containing a position, innermost first
+function syntaxNodesAt(state: EditorState, pos: number) {
+    const nodes: { name: string; from: number; to: number }[] = [];
+    const innermost = syntaxTree(state).resolveInner(pos, -1);
+    for (let node: typeof innermost | null = innermost; node; node = node.parent) {
+        nodes.push({ name: node.name, from: node.from, to: node.to });
+    }
+    return nodes;
+}
+
+/**
+ * Find the state fields and view plugins in an editor's configuration. Owners
+ * come from extensions recorded when plugins registered them; anything not
+ * found under a recorded extension has a null owner.
+ */
+function collectEditorExtensions(state: EditorState, owners: WeakMap<object, string>) {
+    const fields = new Map<StateField<unknown>, string | null>();
+    const plugins = new Map<ViewPlugin<PluginValue>, string | null>();
+    const seen = new Set<unknown>();
+    // @ts-ignore - Internal API
+    const config = state.config;
+    const walk = (extension: unknown, owner: string | null) => {
+        if (!extension || typeof extension !== 'object' || seen.has(extension)) {
+            return;
+        }
+        seen.add(extension);
+        owner = owners.get(extension) ?? owner;
+        // Compartment contents, precedence wrappers and extension providers
+        const wrapper = extension as { compartment?: unknown; inner?: unknown; extension?: unknown };
+        if (Array.isArray(extension)) {
+            extension.forEach(inner => walk(inner, owner));
+        } else if (extension instanceof StateField) {
+            fields.set(extension, owner);
+        } else if (extension instanceof ViewPlugin) {
+            plugins.set(extension, owner);
+        } else if ('compartment' in wrapper) {
+            // A compartment's current content can differ from what it started with
+            walk(config?.compartments?.get(wrapper.compartment) ?? wrapper.inner, owner);
+        } else if ('inner' in wrapper) {
+            walk(wrapper.inner, owner);
+        } else if ('extension' in wrapper) {
+            walk(wrapper.extension, owner);
+        }
+    };
+    walk(config?.base, null);
+    return { fields, plugins };
+}
+
+function isRangeSet(value: unknown): value is DecorationSet {
+    const set = value as DecorationSet | null | undefined;
+    return !!set && typeof set.between === 'function' && typeof set.iter === 'function';
+}
+
+// A view plugin instance as kept in the internal EditorView.plugins; older
+// CodeMirror versions put the plugin under spec.plugin
+interface ViewPluginInstance {
+    spec: ViewPlugin<PluginValue> & { plugin?: ViewPlugin<PluginValue> };
+    value?: (PluginValue & { decorations?: unknown }) | null;
+}
+
+function describeDecoration(from: number, to: number, decoration: Decoration) {
+    // The decoration kind is only visible through internal fields
+    const deco = decoration as Decoration & { isReplace?: boolean; widget?: WidgetType | null; block?: boolean };
+    const spec = decoration.spec ?? {};
+    return {
+        from,
+        to,
+        kind: deco.isReplace ? 'replace' : deco.widget ? 'widget' : deco.point ? 'line' : 'mark',
+        class: spec.class ?? null,
+        attributes: spec.attributes ?? null,
+        tagName: spec.tagName ?? null,
+        widget: deco.widget ? deco.widget.constructor?.name ?? 'WidgetType' : null,
+        block: !!deco.block
+    };
+}
+
+// Where a cached item sits in its note; lines are 0-based as in the editor tools
+function describePosition(position: Pos) {
+    return { line: position.start.line, from: position.start.offset, to: position.end.offset };
+}
+
+// List values match when any item does; nested objects never match
+function frontmatterMatches(actual: unknown, expected: unknown, match: string): boolean {
+    if (Array.isArray(actual)) {
+        return actual.some(item => frontmatterMatches(item, expected, match));
+    }
+    if (actual === null || actual === undefined || typeof actual === 'object') {
+        return false;
+    }
+    if (match === 'contains') {
+        return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+    }
+    return String(actual) === String(expected);
+}
+
+/**
+ * Convert any renderer value into something JSON.stringify can handle.
+ * Circular references, DOM nodes, functions and values beyond maxDepth are
+ * replaced by bracketed markers such as "[Circular]".
+ */
+function serializeValue(
+    value: unknown,
+    options: SerializeOptions = DEFAULT_SERIALIZE_OPTIONS,
+    depth = 0,
+    ancestors: WeakSet<object> = new WeakSet()
+): unknown {
+    switch (typeof value) {
+        case 'undefined':
+            return '[undefined]';
+        case 'boolean':
+            return value;
+        case 'number':
+            return Number.isFinite(value) ? value : String(value);
+        case 'bigint':
+            return `${value}n`;
+        case 'symbol':
+            return `[${value.toString()}]`;
+        case 'function':
+            return `[Function: ${value.name || 'anonymous'}]`;
+        case 'string':
+            return truncateText(value, options.maxStringLength);
+    }
+    // Only null and objects are left
+    if (typeof value !== 'object' || value === null) {
+        return null;
+    }
+
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? '[Invalid Date]' : value.toISOString();
+    }
+    if (value instanceof RegExp) {
+        return value.toString();
+    }
+    if (isWindow(value)) {
+        return '[Window]';
+    }
+    if (isNode(value)) {
+        return `[Node: ${describeNode(value)}]`;
+    }
+    if (ancestors.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= options.maxDepth) {
+        if (Array.isArray(value)) return `[Array(${value.length})]`;
+        if (value instanceof Map) return `[Map(${value.size})]`;
+        if (value instanceof Set) return `[Set(${value.size})]`;
+        return `[${(value as { constructor?: { name?: string } }).constructor?.name || 'Object'}]`;
+    }
+
+    ancestors.add(value);
+    try {
+        const next = (item: unknown) => serializeValue(item, options, depth + 1, ancestors);
+
+        if (Array.isArray(value)) {
+            const items = value.slice(0, options.maxItems).map(next);
+            if (value.length > options.maxItems) {
+                items.push(`[... ${value.length - options.maxItems} more items]`);
+            }
+            return items;
+        }
+        if (value instanceof Map) {
+            const entries = Array.from(value.entries()).slice(0, options.maxItems)
+                .map(([key, item]) => [next(key), next(item)]);
+            return { '[Map]': entries, size: value.size };
+        }
+        if (value instanceof Set) {
+            const items = Array.from(value.values()).slice(0, options.maxItems).map(next);
+            return { '[Set]': items, size: value.size };
+        }
+
+        const result: Record<string, unknown> = {};
+        const keys = Object.keys(value);
+        for (const key of keys.slice(0, options.maxItems)) {
+            try {
+                result[key] = next((value as Record<string, unknown>)[key]);
+            } catch (error) {
+                // Getters on host objects can throw
+                result[key] = `[Threw: ${(error as Error)?.message ?? error}]`;
+            }
+        }
+        if (keys.length > options.maxItems) {
+            result['[...]'] = `${keys.length - options.maxItems} more keys`;
+        }
+        return result;
+    } finally {
+        ancestors.delete(value);
+    }
+}
+
+// Text for a value thrown by evaluated code, keeping the stack when available
+function describeException(error: unknown): string {
+    if (error instanceof Error) {
+        return error.stack || `${error.name}: ${error.message}`;
+    }
+    return `Uncaught ${JSON.stringify(serializeValue(error))}`;
+}
+
+type ConsoleOrigin = 'console' | 'uncaught' | 'unhandledrejection';
+
+interface SourceLocation {
+    url: string;
+    line: number;
+    column: number;
+    functionName: string | null;
+}
+
+interface ConsoleEntry {
+    // Increases by one per entry, so clients can poll with sinceSeq
+    seq: number;
+    // Console method name; uncaught errors and rejections are 'error'
+    type: string;
+    origin: ConsoleOrigin;
+    message: string;
+    args: unknown[];
+    // Stack of the first Error argument, or the call stack for console.trace
+    stack: string | null;
+    source: SourceLocation | null;
+    // Id of the plugin the message came from, when it can be told from the stack
+    plugin: string | null;
+    // Window whose console or error handler saw it: "main" or a popout window id
+    window: string;
+    timestamp: string;
+    time: number;
+}
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug', 'trace'];
+const MAX_CONSOLE_MESSAGES = 1000;
+const CONSOLE_SERIALIZE_OPTIONS: SerializeOptions = {
+    maxDepth: 3,
+    maxItems: 20,
+    maxStringLength: 2000
+};
+// Prefix of this plugin's own debug output, see log()
+const LOG_PREFIX = '[DevTools MCP]';
+
+// Matches V8 stack frames: "at fn (url:line:col)" and "at url:line:col"
+const STACK_FRAME_PATTERN = /^\s*at (?:(.*?) \()?(.*?):(\d+):(\d+)\)?$/;
+
+function parseStackFrame(frame: string): SourceLocation | null {
+    const match = STACK_FRAME_PATTERN.exec(frame);
+    if (!match) {
+        return null;
+    }
+    return {
+        url: match[2],
+        line: parseInt(match[3]),
+        column: parseInt(match[4]),
+        functionName: match[1] || null
+    };
+}
+
+// Obsidian evaluates plugin code with a "plugin:<id>" source URL
+function pluginFromUrl(url: string | undefined): string | null {
+    const match = url ? /^plugin:([^:/]+)/.exec(url) : null;
+    return match ? match[1] : null;
+}
+
+// Id of the plugin closest to the top of a stack trace
+function pluginFromStack(stack: string | undefined | null): string | null {
+    for (const frame of (stack ?? '').split('\n')) {
+        const plugin = pluginFromUrl(parseStackFrame(frame)?.url);
+        if (plugin) {
+            return plugin;
+        }
+    }
+    return null;
+}
+
+type ConsoleMethod = (...args: unknown[]) => void;
+
+// Window's typings leave out the console each window has
+function consoleOf(win: Window): Record<string, ConsoleMethod> {
+    return (win as unknown as { console: Record<string, ConsoleMethod> }).console;
+}
+
+// Render one console argument the way it would read in the DevTools console
+function formatConsoleArg(arg: unknown): string {
+    if (typeof arg === 'string') {
+        return arg;
+    }
+    if (arg instanceof Error) {
+        return arg.stack || `${arg.name}: ${arg.message}`;
+    }
+    if (arg === null || typeof arg !== 'object') {
+        return String(serializeValue(arg, CONSOLE_SERIALIZE_OPTIONS));
+    }
+    return JSON.stringify(serializeValue(arg, CONSOLE_SERIALIZE_OPTIONS));
+}
+
+// Accepts epoch milliseconds or any string Date.parse understands
+function parseTime(value: string | number, name: string): number {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return time;
+}
+
+interface NetworkEntry {
+    id: number;
+    api: 'fetch' | 'xhr' | 'requestUrl';
+    method: string;
+    url: string;
+    status: number | null;
+    statusText: string;
+    requestHeaders: Record<string, string>;
+    responseHeaders: Record<string, string>;
+    requestBody: string | null;
+    responseBody: string | null;
+    error: string | null;
+    plugin: string | null;
+    timestamp: string;
+    time: number;
+    durationMs: number | null;
+}
+
+// Snippet and injected stylesheet names end up in file names and element ids
+const CSS_NAME_PATTERN = /^[\w\- .]{1,100}$/;
+
+// Pseudo-elements get_matched_rules can report on
+const PSEUDO_ELEMENT_SUFFIX = /::?(before|after)$/i;
+// get_computed_styles with all: true stops after this many elements
+const MAX_STYLE_ELEMENTS = 50;
+const INHERITED_PROPERTIES = new Set([
+    'border-collapse', 'border-spacing', 'caption-side', 'caret-color', 'color', 'color-scheme', 'cursor',
+    'direction', 'empty-cells', 'font', 'font-family', 'font-feature-settings', 'font-kerning', 'font-size',
+    'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-variant-caps',
+    'font-variant-ligatures', 'font-variant-numeric', 'font-variation-settings', 'font-weight', 'hyphens',
+    'letter-spacing', 'line-height', 'list-style', 'list-style-image', 'list-style-position', 'list-style-type',
+    'orphans', 'overflow-wrap', 'pointer-events', 'quotes', 'tab-size', 'text-align', 'text-align-last',
+    'text-indent', 'text-rendering', 'text-shadow', 'text-transform', 'text-underline-position', 'visibility',
+    'white-space', 'widows', 'word-break', 'word-spacing', 'word-wrap', 'writing-mode',
+    '-webkit-font-smoothing', '-webkit-text-fill-color'
+]);
+
+function isInheritedProperty(property: string): boolean {
+    return property.startsWith('--') || INHERITED_PROPERTIES.has(property);
+}
+
+// Match property names against exact names and prefixes such as "font-*" or "--*"
+function propertyMatcher(filters?: string[]): (property: string) => boolean {
+    if (!filters?.length) {
+        return () => true;
+    }
+    const exact = new Set(filters.filter(filter => !filter.endsWith('*')));
+    const prefixes = filters.filter(filter => filter.endsWith('*')).map(filter => filter.slice(0, -1));
+    return property => exact.has(property) || prefixes.some(prefix => property.startsWith(prefix));
+}
+
+// Declared value of a property; longhands of a shorthand written with var() only have a value on the shorthand
+function declaredValue(style: CSSStyleDeclaration, property: string): string {
+    const value = style.getPropertyValue(property);
+    if (value) {
+        return value;
+    }
+    const parts = property.split('-');
+    for (let length = parts.length - 1; length > 0; length--) {
+        const shorthand = style.getPropertyValue(parts.slice(0, length).join('-'));
+        if (shorthand) {
+            return shorthand;
+        }
+    }
+    return value;
+}
+
+const MAX_NETWORK_ENTRIES = 200;
+const MAX_NETWORK_BODY_LENGTH = 10000;
+const REDACTED_HEADERS = new Set([
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'set-cookie',
+    'x-api-key',
+    'x-auth-token'
+]);
+// Response bodies with other content types are not read
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded)|[^;]*\+(json|xml))/i;
+
+function truncateBody(body: string): string {
+    return truncateText(body, MAX_NETWORK_BODY_LENGTH);
+}
+
+// Describe a request body without reading streams or binary data
+function describeRequestBody(body: unknown): string | null {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    if (typeof body === 'string') {
+        return truncateBody(body);
+    }
+    if (body instanceof URLSearchParams) {
+        return truncateBody(body.toString());
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        return `[binary ${body.byteLength} bytes]`;
+    }
+    if (body instanceof Blob) {
+        return `[Blob ${body.type || 'unknown type'}, ${body.size} bytes]`;
+    }
+    if (body instanceof FormData) {
+        return '[FormData]';
+    }
+    return `[${(body as object).constructor?.name || typeof body}]`;
+}
+
+function headersToRecord(headers: HeadersInit | Record<string, unknown> | null | undefined): Record<string, string> {
+    const result: Record<string, string> = {};
+    if (!headers) {
+        return result;
+    }
+    if (headers instanceof Headers) {
+        headers.forEach((value, key) => { result[key.toLowerCase()] = value; });
+    } else if (Array.isArray(headers)) {
+        headers.forEach(([key, value]) => { result[String(key).toLowerCase()] = String(value); });
+    } else {
+        Object.keys(headers).forEach(key => { result[key.toLowerCase()] = String(headers[key]); });
+    }
+    return result;
+}
+
+// Parse XMLHttpRequest.getAllResponseHeaders() output
+function parseRawHeaders(raw: string): Record<string, string> {
+    const result: Record<string, string> = {};
+    raw.trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            result[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    });
+    return result;
+}
+
+// Request details kept on an XMLHttpRequest between open() and send()
+type TrackedXhr = XMLHttpRequest & {
+    __devtoolsNetwork?: { method: string; url: string; headers: Record<string, string> };
+};
+
+/**
+ * The obsidian module object shared by all plugins. The bundle's own import
+ * of requestUrl is a read-only binding, so wrapping the export has to go
+ * through the module that Obsidian's require hands out.
+ */
+function getSharedObsidianModule(): { requestUrl: typeof requestUrl } {
+    return (window as unknown as { require: (id: string) => { requestUrl: typeof requestUrl } }).require('obsidian');
+}
+
+interface NetworkQuery {
+    limit?: number;
+    urlPattern?: string;
+    method?: string;
+    api?: string;
+    minStatus?: number;
+    maxStatus?: number;
+    failedOnly?: boolean;
+    sinceId?: number;
+    plugin?: string;
+    includeBodies?: boolean;
+}
+
+interface ConsoleLogQuery {
+    limit?: number;
+    levels?: string[];
+    pattern?: string;
+    ignoreCase?: boolean;
+    since?: string | number;
+    until?: string | number;
+    sinceSeq?: number;
+    plugin?: string;
+    window?: string;
+    includeOwnLogs?: boolean;
+}
+
+export default class ObsidianDevToolsPlugin extends Plugin {
+    settings: DevToolsSettings;
+    private webSocket: WebSocket | null = null;
+    // Commands are only accepted once the bridge has proven it has the secret
+    private authenticated = false;
+    private handshake: { secret: string; bridgeNonce: string; nonce: string } | null = null;
+    // Why the last bridge was rejected; kept on the status bar until the next attempt
+    private handshakeError: string | null = null;
+    private handshakeTimeout: number | null = null;
+    private consoleMessages: ConsoleEntry[] = [];
+    private consoleSequence = 0;
+    // Guards against console calls made while an entry is being recorded
+    private recordingConsole = false;
+    private networkEntries: NetworkEntry[] = [];
+    private networkSequence = 0;
+    // Originals replaced while network capture is on; empty when off
+    private originalNetworkApis: Record<string, { original: unknown; wrapper: unknown }> = {};
+    // CSS added with inject_css, by name; every window gets a copy
+    private injectedStyles = new Map<string, string>();
+    // Computed styles saved by get_computed_styles for later diffs, by name, with the properties filter they were read with
+    private styleSnapshots = new Map<string, { styles: Record<string, string>; properties?: string[] }>();
+    private statusBarEl: HTMLElement | null = null;
+    private reconnectTimeout: number | null = null;
+    private attemptCount: number = 0;
+    private currentPortIndex: number = 0;
+    private lastActivePort: number | null = null;
+    private reconnecting: boolean = false;
+    private tools = new Map<string, RegisteredTool>();
+    // Load failures seen by the plugin lifecycle tools, by plugin id
+    private pluginLoadErrors = new Map<string, string>();
+    private catalogTimeout: number | null = null;
+    // Tools the user allowed for the rest of the session from the approval modal
+    private sessionAllowedTools = new Set<string>();
+    // Editor extensions by the id of the plugin that registered them
+    private editorExtensionOwners = new WeakMap<object, string>();
+
+    async onload() {
+        log('Loading plugin...');
+
+        await this.loadSettings();
+        this.addSettingTab(new DevToolsSettingTab(this.app, this));
+
+        // Add a ribbon icon for toggling DevTools
+        const ribbonIcon = this.addRibbonIcon('bug', 'Toggle DevTools', () => {
+            this.getWebContents()?.toggleDevTools();
+        });
+        
+        ribbonIcon.addClass('obsidian-devtools-mcp-icon');
+
+        // Set up console capture
+        this.setupConsoleCapture();
+        this.setupPopoutTracking();
+        if (this.settings.captureNetwork) {
+            this.setupNetworkCapture();
+        }
+        this.setupEditorExtensionTracking();
+
+        // Register the tools exposed over MCP
+        this.registerBuiltinTools();
+
+        // Add status bar item
+        this.statusBarEl = this.addStatusBarItem();
+        this.updateStatus('Initializing...');
+
+        // Initial connection attempt
+        this.connectToServer();
+
+        log('Plugin loaded');
+    }
+
+    onunload() {
+        log('Unloading plugin...');
+        if (this.reconnectTimeout) {
+            window.clearTimeout(this.reconnectTimeout);
+        }
+        if (this.catalogTimeout) {
+            window.clearTimeout(this.catalogTimeout);
+        }
+        this.webSocket?.close();
+        this.restoreConsole();
+        this.teardownNetworkCapture();
+        this.injectedStyles.forEach((css, name) => this.getTargetDocuments('all').forEach(doc => {
+            this.findInjectedStyle(doc, name)?.remove();
+        }));
+        this.injectedStyles.clear();
+        log('Plugin unloaded');
+    }
+
+    /**
+     * Electron webContents of a window, if running on desktop. Popouts are
+     * separate BrowserWindows, found through the main process by their
+     * position, size and title.
+     */
+    private getWebContents(win: Window = window): WebContents | null {
+        // @ts-ignore - Using internal Electron API
+        const main: WebContents | null = this.app.win?.webContents ?? null;
+        if (win === window || !main) {
+            return main;
+        }
+        let browserWindows: BrowserWindow[] = [];
+        try {
+            const remote = (window as unknown as { require: (id: string) => { BrowserWindow: typeof BrowserWindow } })
+                .require('@electron/remote');
+            browserWindows = remote.BrowserWindow.getAllWindows();
+        } catch (error) {
+            log('Could not load @electron/remote:', error);
+        }
+        // Looked up on every call, as popouts move and close
+        const popout = matchWindow(
+            browserWindows.filter(browserWindow => !browserWindow.isDestroyed() && browserWindow.webContents.id !== main.id),
+            {
+                bounds: { x: win.screenX, y: win.screenY, width: win.outerWidth, height: win.outerHeight },
+                title: win.document.title
+            }
+        );
+        if (!popout) {
+            throw new Error('Could not tell which Electron window shows this popout');
+        }
+        return popout.webContents;
+    }
+
+    async loadSettings() {
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    }
+
+    async saveSettings() {
+        await this.saveData(this.settings);
+        this.updateEvaluateTool();
+        if (this.settings.captureNetwork) {
+            this.setupNetworkCapture();
+        } else {
+            this.teardownNetworkCapture();
+        }
+    }
+
+    private updateStatus(status: string) {
+        log('Status:', status);
+        if (this.statusBarEl) {
+            this.statusBarEl.setText(`DevTools MCP: ${status}`);
+        }
+    }
+
+    private connectToServer() {
+        // Prevent multiple connection attempts running simultaneously
+        if (this.reconnecting) {
+            log('Already attempting to reconnect, skipping...');
+            return;
+        }
+
+        this.reconnecting = true;
+
+        try {
+            // Try to load last active port from localStorage if available
+            if (this.lastActivePort === null) {
+                try {
+                    const savedPort = localStorage.getItem('devtools-mcp-port');
+                    if (savedPort) {
+                        const port = parseInt(savedPort);
+                        // Find index of this port or default to 0
+                        const index = WS_PORTS.indexOf(port);
+                        if (index >= 0) {
+                            this.currentPortIndex = index;
+                            log('Using saved port:', port, 'at index', index);
+                        }
+                    }
+                } catch (e) {
+                    log('Error loading saved port:', e);
+                }
+            }
+
+            // Get current port to try
+            const port = WS_PORTS[this.currentPortIndex];
+            this.updateStatus(`Connecting to port ${port}...`);
+            log('Connecting to WebSocket on port', port);
+
+            const webSocket = new WebSocket(`ws://localhost:${port}`);
+            this.webSocket = webSocket;
+            this.authenticated = false;
+            this.handshake = null;
+            this.handshakeError = null;
+
+            webSocket.onopen = () => {
+                log('Connected to DevTools bridge server on port', port);
+                this.updateStatus(`Authenticating with port ${port}...`);
+                this.reconnecting = false;
+                // A server that never says hello is not a DevTools bridge, or an outdated one
+                this.handshakeTimeout = window.setTimeout(() => {
+                    this.failHandshake(webSocket, `No hello from port ${port}; is it an up-to-date DevTools bridge?`);
+                }, HANDSHAKE_TIMEOUT_MS);
+            };
+
+            webSocket.onmessage = async (event) => {
+                try {
+                    if (!this.authenticated) {
+                        try {
+                            this.handleHandshake(webSocket, port, JSON.parse(event.data));
+                        } catch (error) {
+                            this.failHandshake(webSocket, `Handshake with port ${port} failed: ${describeException(error)}`);
+                        }
+                        return;
+                    }
+                    const message = JSON.parse(event.data) as BridgeMessage;
+                    log('Received message:', message);
+                    
+                    let result: CallToolResult;
+                    try {
+                        const value = await this.executeCommand(message);
+                        log('Command result:', value);
+                        result = formatToolResult(value);
+                    } catch (cmdError: unknown) {
+                        log('Command error:', cmdError);
+                        result = formatToolError(cmdError);
+                    }
+
+                    const response = {
+                        jsonrpc: '2.0',
+                        id: message.id,
+                        result: result
+                    };
+                    log('Sending response:', response);
+                    this.webSocket?.send(JSON.stringify(response));
+                } catch (error: unknown) {
+                    log('Message parsing error:', error);
+                    this.webSocket?.send(JSON.stringify({
+                        jsonrpc: '2.0',
+                        id: -1,
+                        error: {
+                            code: -32700,
+                            message: 'Invalid message format'
+                        }
+                    }));
+                }
+            };
+
+            webSocket.onerror = (error: Event) => {
+                log('WebSocket error:', error);
+                if (!this.handshakeError) {
+                    this.updateStatus('Error');
+                }
+            };
+
+            webSocket.onclose = () => {
+                log('Disconnected from DevTools bridge server');
+                if (this.handshakeTimeout) {
+                    window.clearTimeout(this.handshakeTimeout);
+                    this.handshakeTimeout = null;
+                }
+                this.authenticated = false;
+
+                if (this.handshakeError) {
+                    // Leave the reason on the status bar and look for the real
+                    // bridge on the next port
+                    if (this.lastActivePort === port) {
+                        this.lastActivePort = null;
+                    }
+                    this.currentPortIndex = (WS_PORTS.indexOf(port) + 1) % WS_PORTS.length;
+                } else {
+                    this.updateStatus('Disconnected');
+                }
+                
+                // If we had a successful connection before, keep trying the same port
+                if (this.lastActivePort !== null) {
+                    this.currentPortIndex = WS_PORTS.indexOf(this.lastActivePort);
+                }
+                
+                // Aggressive reconnection with very short initial delay; slower
+                // after a failed handshake so the reason stays readable
+                const delay = this.handshakeError
+                    ? 5000
+                    : Math.min(50 * Math.pow(1.1, this.attemptCount), 1000);
+                this.attemptCount++;
+                
+                log(`Attempting reconnect to port ${WS_PORTS[this.currentPortIndex]} in ${delay}ms`);
+                
+                if (this.reconnectTimeout) {
+                    window.clearTimeout(this.reconnectTimeout);
+                }
+                
+                // Reset attempt count after 10 tries to prevent backoff from getting too long
+                if (this.attemptCount > 10) {
+                    this.attemptCount = 0;
+                }
+                
+                this.reconnectTimeout = window.setTimeout(() => {
+                    this.reconnecting = false; // Reset reconnecting flag
+                    this.connectToServer();  // Actually try to reconnect
+                }, delay);
+            };
+        } catch (error) {
+            this.updateStatus('Connection Failed');
+            
+            // Reset reconnecting flag and try again after shorter delay
+            this.reconnecting = false;
+            
+            // Try next port with a shorter delay
+            this.currentPortIndex = (this.currentPortIndex + 1) % WS_PORTS.length;
+            const delay = Math.min(100 * Math.pow(1.2, this.attemptCount), 2000);
+            
+            // Reset attempt count after 10 tries
+            if (this.attemptCount > 10) {
+                this.attemptCount = 0;
+            }
+            
+            if (this.reconnectTimeout) {
+                window.clearTimeout(this.reconnectTimeout);
+            }
+            
+            this.reconnectTimeout = window.setTimeout(() => {
+                this.connectToServer();
+            }, delay);
+        }
+    }
+
+    // Read on every connection rather than kept in the settings, which live in the vault
+    private readBridgeSecret(): string | null {
+        try {
+            return readFileSync(BRIDGE_SECRET_PATH, 'utf8').trim() || null;
+        } catch (error) {
+            log('Could not read bridge secret:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Handshake, run before any command is accepted: the bridge sends a hello
+     * with a nonce, we answer with our own hello signed with the shared secret,
+     * and the bridge accepts with a signature of ours, or rejects us.
+     */
+    private handleHandshake(webSocket: WebSocket, port: number, message: HandshakeMessage | null) {
+        const params = message?.params ?? {};
+        // @ts-ignore - Internal API
+        const vaultId: string = this.app.appId;
+
+        if (message?.method === 'hello' && !this.handshake) {
+            if (params.protocolVersion !== PROTOCOL_VERSION) {
+                this.failHandshake(webSocket, `Bridge on port ${port} speaks protocol ${params.protocolVersion}, ` +
+                    `this plugin ${PROTOCOL_VERSION}; update the older one`);
+                return;
+            }
+            const secret = this.readBridgeSecret();
+            if (!secret) {
+                this.failHandshake(webSocket, `No bridge secret in ${BRIDGE_SECRET_PATH}; start the bridge once to create it`);
+                return;
+            }
+            const nonce = randomBytes(16).toString('hex');
+            this.handshake = { secret, bridgeNonce: String(params.nonce ?? ''), nonce };
+            webSocket.send(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'hello',
+                params: {
+                    role: 'plugin',
+                    protocolVersion: PROTOCOL_VERSION,
+                    vaultId,
+                    vaultName: this.app.vault.getName(),
+                    nonce,
+                    proof: handshakeProof(secret, 'plugin', this.handshake.bridgeNonce, nonce, vaultId)
+                }
+            }));
+        } else if (message?.method === 'hello/accepted' && this.handshake) {
+            const { secret, bridgeNonce, nonce } = this.handshake;
+            if (!proofMatches(handshakeProof(secret, 'bridge', nonce, bridgeNonce, vaultId), params.proof)) {
+                this.failHandshake(webSocket, `Bridge on port ${port} failed authentication`);
+                return;
+            }
+            if (this.handshakeTimeout) {
+                window.clearTimeout(this.handshakeTimeout);
+                this.handshakeTimeout = null;
+            }
+            log('Authenticated DevTools bridge on port', port);
+            this.authenticated = true;
+            this.updateStatus(`Connected to port ${port}`);
+            this.attemptCount = 0;
+            this.lastActivePort = port;
+            this.sendToolCatalog();
+
+            // Save successful port for future attempts
+            try {
+                localStorage.setItem('devtools-mcp-port', port.toString());
+            } catch (e) {
+                log('Error saving port:', e);
+            }
+        } else if (message?.method === 'hello/rejected') {
+            this.failHandshake(webSocket, `Rejected by bridge on port ${port}: ${params.reason ?? 'no reason given'}`);
+        } else {
+            this.failHandshake(webSocket, `Port ${port} sent ${message?.method ?? 'a message'} before authenticating`);
+        }
+    }
+
+    private failHandshake(webSocket: WebSocket, reason: string) {
+        log('Handshake failed:', reason);
+        this.handshakeError = reason;
+        this.updateStatus(reason);
+        webSocket.close();
+    }
+
+    private async executeCommand(message: BridgeMessage) {
+        log('Executing command:', message);
+        
+        if (!this.app.workspace) {
+            throw new Error('Workspace not available');
+        }
+
+        const tool = this.tools.get(message.name);
+        if (!tool) {
+            throw new Error(`Unknown command: ${message.name}`);
+        }
+        await this.checkToolPermission(tool, message.arguments || {}, message.id);
+        return await tool.handler(message.arguments || {});
+    }
+
+    public getToolPermission(name: string): ToolPermission {
+        return this.settings.toolPermissions[name] ?? this.settings.defaultToolPermission;
+    }
+
+    // Throws when the settings deny the tool or the user does not approve the call
+    private async checkToolPermission(tool: RegisteredTool, args: ToolArguments, requestId: number) {
+        // "Confirm each evaluation" asks on every call, whatever the tool's permission
+        const confirmEach = tool.name === 'evaluate_javascript' && this.settings.confirmEvaluate;
+        const permission = resolveToolPermission(
+            this.getToolPermission(tool.name), this.sessionAllowedTools.has(tool.name), confirmEach
+        );
+        if (permission === 'allow') {
+            return;
+        }
+        if (permission === 'deny') {
+            throw new Error(`${tool.name} is denied in the DevTools MCP settings`);
+        }
+
+        log('Asking for approval:', tool.name);
+        const timeoutSeconds = Math.min(Math.max(this.settings.approvalTimeoutSeconds, 1), MAX_WAIT_MS / 1000);
+        // Keep the bridge from timing the request out while the user decides
+        this.webSocket?.send(JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'requests/extend_timeout',
+            params: { id: requestId, timeoutMs: timeoutSeconds * 1000 }
+        }));
+        const decision = await new ToolApprovalModal(this.app, tool, args, timeoutSeconds, !confirmEach)
+            .waitForDecision();
+        if (decision === 'session') {
+            this.sessionAllowedTools.add(tool.name);
+        } else if (decision === 'timeout') {
+            throw new Error(`${tool.name} was not approved within ${timeoutSeconds} seconds`);
+        } else if (decision !== 'allow') {
+            throw new Error(`${tool.name} was denied by the user`);
+        }
+    }
+
+    // Forget "allow for this session" answers once a permission is changed in the settings
+    public resetSessionApprovals(name?: string) {
+        if (name) {
+            this.sessionAllowedTools.delete(name);
+        } else {
+            this.sessionAllowedTools.clear();
+        }
+    }
+
+    // Registered tools, sorted by name, for the settings tab
+    public getTools(): RegisteredTool[] {
+        return [...this.tools.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    private addTool<Args extends object = ToolArguments>(tool: ToolRegistration<Args> & { owner?: string }) {
+        // Handlers declare the arguments they read; the client validated them against the schema
+        this.tools.set(tool.name, tool as RegisteredTool);
+    }
+
+    /**
+     * Register an MCP tool on behalf of another plugin. Reach it with
+     * `app.plugins.getPlugin('obsidian-devtools-mcp').registerTool(this, {...})`.
+     * The tool is removed automatically when `owner` unloads; the returned
+     * function removes it earlier.
+     */
+    public registerTool<Args extends object = ToolArguments>(owner: Plugin, tool: ToolRegistration<Args>): () => void {
+        const ownerId = owner?.manifest?.id;
+        if (!ownerId) {
+            throw new Error('registerTool requires the registering plugin as owner');
+        }
+        if (!TOOL_NAME_PATTERN.test(tool?.name ?? '')) {
+            throw new Error(`Invalid tool name: ${tool?.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} has no handler`);
+        }
+        if (tool.inputSchema?.type !== 'object') {
+            throw new Error(`Tool ${tool.name} inputSchema must be an object schema`);
+        }
+        const existing = this.tools.get(tool.name);
+        if (existing && existing.owner !== ownerId) {
+            throw new Error(`Tool ${tool.name} is already registered by ${existing.owner ?? this.manifest.id}`);
+        }
+
+        log(`Registering tool ${tool.name} for ${ownerId}`);
+        this.addTool({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            outputSchema: tool.outputSchema,
+            handler: tool.handler,
+            owner: ownerId
+        });
+        this.scheduleToolCatalog();
+
+        const unregister = () => this.unregisterTool(tool.name, ownerId);
+        owner.register(unregister);
+        return unregister;
+    }
+
+    /**
+     * Remove a tool registered with registerTool(). When `ownerId` is given,
+     * the tool is only removed if that plugin still owns it.
+     */
+    public unregisterTool(name: string, ownerId?: string): boolean {
+        const tool = this.tools.get(name);
+        if (!tool || !tool.owner) {
+            return false;
+        }
+        if (ownerId && tool.owner !== ownerId) {
+            return false;
+        }
+        log(`Unregistering tool ${name} from ${tool.owner}`);
+        this.tools.delete(name);
+        this.scheduleToolCatalog();
+        return true;
+    }
+
+    // Coalesce bursts of (un)registrations, e.g. several plugins loading at
+    // startup, into a single catalogue update
+    private scheduleToolCatalog() {
+        if (this.catalogTimeout) {
+            window.clearTimeout(this.catalogTimeout);
+        }
+        this.catalogTimeout = window.setTimeout(() => {
+            this.catalogTimeout = null;
+            this.sendToolCatalog();
+        }, 100);
+    }
+
+    // Push the current tool catalogue to the bridge. Called on every connect
+    // and whenever the set of tools changes.
+    private sendToolCatalog() {
+        if (this.webSocket?.readyState !== WebSocket.OPEN || !this.authenticated) {
+            return;
+        }
+        const tools: ToolDefinition[] = Array.from(this.tools.values()).map(
+            ({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, outputSchema })
+        );
+        log('Sending tool catalogue:', tools.map(tool => tool.name));
+        this.webSocket.send(JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'tools/catalog',
+            params: { tools }
+        }));
+    }
+
+    private registerBuiltinTools() {
+        this.addTool({
+            name: 'query_elements',
+            description: 'Query DOM elements using CSS selectors. Returns a depth-limited tree per match with ' +
+                'truncated text and attributes; page through matches with offset and limit',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: {
+                        type: 'string',
+                        description: `Element selector. ${SELECTOR_SYNTAX}`
+                    },
+                    window: WINDOW_ARGUMENT,
+                    offset: {
+                        type: 'number',
+                        description: 'Number of matches to skip',
+                        default: 0
+                    },
+                    limit: {
+                        type: 'number',
+                        description: 'Maximum number of matches to return',
+                        default: 20
+                    },
+                    depth: {
+                        type: 'number',
+                        description: 'Levels of child elements to include below each match; 0 for none',
+                        default: 1
+                    },
+                    maxChildren: {
+                        type: 'number',
+                        description: 'Maximum children listed per element',
+                        default: 20
+                    },
+                    maxTextLength: {
+                        type: 'number',
+                        description: 'Text content longer than this is truncated',
+                        default: 200
+                    },
+                    maxAttributeLength: {
+                        type: 'number',
+                        description: 'Attribute values longer than this are truncated',
+                        default: 200
+                    },
+                    includeGeometry: {
+                        type: 'boolean',
+                        description: 'Add bounding rect, visibility and whether the element is in the viewport',
+                        default: false
+                    },
+                    includeSelectorPath: {
+                        type: 'boolean',
+                        description: 'Add a selector that uniquely identifies each element',
+                        default: false
+                    },
+                    includeInnerHTML: {
+                        type: 'boolean',
+                        description: 'Add the full, untruncated innerHTML of each match. Can be very large',
+                        default: false
+                    }
+                },
+                required: ['selector']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    selector: { type: 'string' },
+                    count: { type: 'number' },
+                    offset: { type: 'number' },
+                    returned: { type: 'number' },
+                    nextOffset: { type: ['number', 'null'] },
+                    nodeLimitReached: { type: 'boolean' },
+                    elements: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                tagName: { type: 'string' },
+                                id: { type: 'string' },
+                                className: { type: 'string' },
+                                attributes: { type: 'object' },
+                                textContent: { type: 'string' },
+                                childCount: { type: 'number' },
+                                children: { type: 'array', items: { type: 'object' } },
+                                truncatedChildren: { type: 'number' },
+                                selectorPath: { type: 'string' },
+                                rect: { type: 'object' },
+                                visible: { type: 'boolean' },
+                                inViewport: { type: 'boolean' },
+                                innerHTML: { type: 'string' }
+                            },
+                            required: ['tagName', 'attributes', 'textContent', 'childCount']
+                        }
+                    }
+                },
+                required: ['selector', 'count', 'offset', 'returned', 'nextOffset', 'nodeLimitReached', 'elements']
+            },
+            handler: (args: Parameters<typeof this.queryElements>[0]) => this.queryElements(args)
+        });
+
+        this.addTool({
+            name: 'get_computed_styles',
+            description: 'Get computed styles for an element, its pseudo-elements or every match of a selector. ' +
+                'Output can be limited to named properties and to values that differ from the browser default, ' +
+                'and styles can be diffed against another element or a snapshot saved by an earlier call',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: {
+                        type: 'string',
+                        description: `Element selector. ${SELECTOR_SYNTAX}`
+                    },
+                    window: WINDOW_ARGUMENT,
+                    properties: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only return these properties; a trailing * matches a prefix, e.g. "font-*" or "--*"'
+                    },
+                    index: {
+                        type: 'number',
+                        description: 'Which match to use, starting at 0',
+                        default: 0
+                    },
+                    all: {
+                        type: 'boolean',
+                        description: `Return styles for every match, up to ${MAX_STYLE_ELEMENTS}`,
+                        default: false
+                    },
+                    pseudoElement: {
+                        type: 'string',
+                        description: 'Pseudo-element to read, e.g. "::before" or "::placeholder"'
+                    },
+                    omitDefaults: {
+                        type: 'boolean',
+                        description: 'Leave out properties whose value matches an unstyled element with the same tag',
+                        default: false
+                    },
+                    saveAs: {
+                        type: 'string',
+                        description: 'Save the styles under this name so a later call can diff against them'
+                    },
+                    diffAgainst: {
+                        type: 'string',
+                        description: 'Name of a snapshot saved with saveAs to diff the current styles against'
+                    },
+                    compareSelector: {
+                        type: 'string',
+                        description: 'Selector of a second element to diff against (its first match), in the same window'
+                    },
+                    includeStyles: {
+                        type: 'boolean',
+                        description: 'Return the styles themselves; defaults to false when a diff is requested'
+                    }
+                },
+                required: ['selector']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    selector: { type: 'string' },
+                    found: { type: 'boolean' },
+                    count: { type: 'number' },
+                    styles: {
+                        type: ['object', 'null'],
+                        additionalProperties: { type: 'string' }
+                    },
+                    elements: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                index: { type: 'number' },
+                                element: { type: 'string' },
+                                styles: { type: 'object', additionalProperties: { type: 'string' } }
+                            },
+                            required: ['index', 'element', 'styles']
+                        }
+                    },
+                    diff: {
+                        type: 'object',
+                        properties: {
+                            against: { type: 'string' },
+                            changed: {
+                                type: 'object',
+                                additionalProperties: {
+                                    type: 'object',
+                                    properties: {
+                                        from: { type: ['string', 'null'] },
+                                        to: { type: ['string', 'null'] }
+                                    },
+                                    required: ['from', 'to']
+                                }
+                            }
+                        },
+                        required: ['against', 'changed']
+                    },
+                    saved: { type: 'string' }
+                },
+                required: ['selector', 'found', 'count', 'styles']
+            },
+            handler: (args: Parameters<typeof this.getComputedStyles>[0]) => this.getComputedStyles(args)
+        });
+
+        this.addTool({
+            name: 'get_console_logs',
+            description: 'Get recent console messages, uncaught errors and unhandled promise rejections, ' +
+                'optionally filtered by level, text, time, sequence number, source plugin or window',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    limit: {
+                        type: 'number',
+                        description: 'Maximum number of logs to retrieve (most recent first are kept); 0 for no limit',
+                        default: 100
+                    },
+                    levels: {
+                        type: 'array',
+                        items: { type: 'string', enum: CONSOLE_METHODS },
+                        description: 'Only include these levels. Uncaught errors and rejections are level "error"'
+                    },
+                    pattern: {
+                        type: 'string',
+                        description: 'Regular expression matched against the message text'
+                    },
+                    ignoreCase: {
+                        type: 'boolean',
+                        description: 'Match pattern case-insensitively',
+                        default: true
+                    },
+                    since: {
+                        type: ['string', 'number'],
+                        description: 'Only logs at or after this time (ISO date or epoch milliseconds)'
+                    },
+                    until: {
+                        type: ['string', 'number'],
+                        description: 'Only logs at or before this time (ISO date or epoch milliseconds)'
+                    },
+                    sinceSeq: {
+                        type: 'number',
+                        description: 'Only logs with a sequence number greater than this; pass latestSeq from a previous call to poll'
+                    },
+                    plugin: {
+                        type: 'string',
+                        description: 'Only logs that came from this plugin id'
+                    },
+                    window: {
+                        type: 'string',
+                        description: 'Only logs from this window: "main" or a popout window id from list_windows'
+                    },
+                    includeOwnLogs: {
+                        type: 'boolean',
+                        description: 'Include the DevTools MCP plugin\'s own debug logging',
+                        default: false
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    logs: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                seq: { type: 'number' },
+                                type: { type: 'string' },
+                                origin: { type: 'string', enum: ['console', 'uncaught', 'unhandledrejection'] },
+                                message: { type: 'string' },
+                                args: { type: 'array' },
+                                stack: { type: ['string', 'null'] },
+                                source: {
+                                    type: ['object', 'null'],
+                                    properties: {
+                                        url: { type: 'string' },
+                                        line: { type: 'number' },
+                                        column: { type: 'number' },
+                                        functionName: { type: ['string', 'null'] }
+                                    }
+                                },
+                                plugin: { type: ['string', 'null'] },
+                                window: { type: 'string' },
+                                timestamp: { type: 'string' },
+                                time: { type: 'number' }
+                            }
+                        }
+                    },
+                    matched: { type: 'number' },
+                    latestSeq: { type: 'number' }
+                },
+                required: ['logs', 'matched', 'latestSeq']
+            },
+            handler: (args: Parameters<typeof this.getConsoleLogs>[0]) => this.getConsoleLogs(args)
+        });
+
+        this.addTool({
+            name: 'capture_screenshot',
+            description: 'Capture a PNG screenshot of an Obsidian window, or of the element matching a CSS selector',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: {
+                        type: 'string',
+                        description: 'Selector of the element to crop to. ' +
+                            'Same syntax as query_elements. Captures the whole window when omitted'
+                    },
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    padding: {
+                        type: 'number',
+                        description: 'Extra pixels to include around the element',
+                        default: 0
+                    },
+                    scale: {
+                        type: 'number',
+                        description: 'Scale factor applied to the captured image (0.1 to 2)',
+                        default: 1
+                    },
+                    maxWidth: {
+                        type: 'number',
+                        description: 'Maximum width of the returned image in pixels',
+                        default: 1600
+                    },
+                    maxHeight: {
+                        type: 'number',
+                        description: 'Maximum height of the returned image in pixels',
+                        default: 1600
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    selector: { type: ['string', 'null'] },
+                    window: { type: 'string' },
+                    rect: {
+                        type: ['object', 'null'],
+                        properties: {
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            width: { type: 'number' },
+                            height: { type: 'number' }
+                        }
+                    },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                    mimeType: { type: 'string' }
+                },
+                required: ['width', 'height', 'mimeType']
+            },
+            handler: (args: Parameters<typeof this.captureScreenshot>[0]) => this.captureScreenshot(args)
+        });
+
+        this.registerVaultTools();
+        this.registerMetadataTools();
+        this.registerWorkspaceTools();
+        this.registerCommandTools();
+        this.registerPluginTools();
+        this.registerNetworkTools();
+        this.registerCssTools();
+        this.registerInteractionTools();
+        this.registerEditorTools();
+        this.updateEvaluateTool();
+    }
+
+    private registerInteractionTools() {
+        const selectorArgument = {
+            type: 'string',
+            description: `Element selector. ${SELECTOR_SYNTAX}`
+        };
+        const modifiersArgument = {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Modifier keys to hold: Mod (Cmd on macOS, Ctrl elsewhere), Ctrl, Meta, Alt, Shift'
+        };
+        const settleArgument = {
+            type: 'number',
+            description: 'Milliseconds to wait after the input before reporting focus and errors',
+            default: 100
+        };
+        const pointSchema = {
+            type: ['object', 'null'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' }
+            }
+        };
+        const inputResultSchema = {
+            type: 'object',
+            properties: {
+                action: { type: 'string' },
+                target: { type: ['string', 'null'] },
+                hitTarget: { type: ['string', 'null'] },
+                point: pointSchema,
+                focus: {
+                    type: ['object', 'null'],
+                    properties: {
+                        element: { type: 'string' },
+                        selectorPath: { type: 'string' },
+                        editable: { type: 'boolean' },
+                        inEditor: { type: 'boolean' }
+                    }
+                },
+                consoleErrors: { type: 'array', items: { type: 'object' } }
+            },
+            required: ['action', 'target', 'hitTarget', 'point', 'focus', 'consoleErrors']
+        };
+
+        this.addTool({
+            name: 'click',
+            description: 'Click an element with trusted mouse input, as a user would. ' +
+                'Supports right and middle clicks, double clicks and modifier keys. ' +
+                'Returns the element under the pointer, where focus ended up and any console errors raised',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: selectorArgument,
+                    button: {
+                        type: 'string',
+                        enum: ['left', 'right', 'middle'],
+                        default: 'left'
+                    },
+                    clickCount: {
+                        type: 'number',
+                        description: '2 for a double click',
+                        default: 1
+                    },
+                    modifiers: modifiersArgument,
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                },
+                required: ['selector']
+            },
+            outputSchema: inputResultSchema,
+            handler: (args: Parameters<typeof this.click>[0]) => this.click(args)
+        });
+
+        this.addTool({
+            name: 'type_text',
+            description: 'Type text into the focused input or editor, optionally clicking an element first to focus it',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    text: {
+                        type: 'string',
+                        description: 'Text to insert'
+                    },
+                    selector: {
+                        ...selectorArgument,
+                        description: `Element to click before typing. ${SELECTOR_SYNTAX}`
+                    },
+                    clear: {
+                        type: 'boolean',
+                        description: 'Select all and delete before typing',
+                        default: false
+                    },
+                    submit: {
+                        type: 'boolean',
+                        description: 'Press Enter after typing',
+                        default: false
+                    },
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                },
+                required: ['text']
+            },
+            outputSchema: inputResultSchema,
+            handler: (args: Parameters<typeof this.typeText>[0]) => this.typeText(args)
+        });
+
+        this.addTool({
+            name: 'press_keys',
+            description: 'Press keys or key chords in sequence, e.g. ["Mod+P"] or ["Escape"], ' +
+                'so hotkeys and editor keymaps handle them as they would real key presses',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    keys: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Chords such as "Mod+Shift+F", "Alt+ArrowUp", "Enter" or "a". ' +
+                            'Mod is Cmd on macOS and Ctrl elsewhere'
+                    },
+                    selector: {
+                        ...selectorArgument,
+                        description: `Element to focus before pressing keys. ${SELECTOR_SYNTAX}`
+                    },
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                },
+                required: ['keys']
+            },
+            outputSchema: inputResultSchema,
+            handler: (args: Parameters<typeof this.pressKeys>[0]) => this.pressKeys(args)
+        });
+
+        this.addTool({
+            name: 'hover',
+            description: 'Move the mouse over an element, e.g. to show a tooltip or a hover preview',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: selectorArgument,
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                },
+                required: ['selector']
+            },
+            outputSchema: inputResultSchema,
+            handler: (args: Parameters<typeof this.hover>[0]) => this.hover(args)
+        });
+
+        this.addTool({
+            name: 'scroll',
+            description: 'Scroll with the mouse wheel over an element, or over the middle of the window',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: selectorArgument,
+                    deltaX: {
+                        type: 'number',
+                        description: 'Pixels to scroll right; negative scrolls left',
+                        default: 0
+                    },
+                    deltaY: {
+                        type: 'number',
+                        description: 'Pixels to scroll down; negative scrolls up',
+                        default: 0
+                    },
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                }
+            },
+            outputSchema: {
+                ...inputResultSchema,
+                properties: {
+                    ...inputResultSchema.properties,
+                    scrollContainer: {
+                        type: ['object', 'null'],
+                        properties: {
+                            element: { type: 'string' },
+                            before: { type: 'object' },
+                            after: { type: 'object' }
+                        }
+                    }
+                }
+            },
+            handler: (args: Parameters<typeof this.scroll>[0]) => this.scroll(args)
+        });
+
+        this.addTool({
+            name: 'drag',
+            description: 'Press the mouse on an element, move it to another element or by an offset, and release it',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: selectorArgument,
+                    toSelector: {
+                        ...selectorArgument,
+                        description: `Element to drop on. ${SELECTOR_SYNTAX}`
+                    },
+                    deltaX: {
+                        type: 'number',
+                        description: 'Horizontal distance to drag when toSelector is not given'
+                    },
+                    deltaY: {
+                        type: 'number',
+                        description: 'Vertical distance to drag when toSelector is not given'
+                    },
+                    steps: {
+                        type: 'number',
+                        description: 'Number of intermediate mouse moves',
+                        default: 10
+                    },
+                    modifiers: modifiersArgument,
+                    window: SINGLE_WINDOW_ARGUMENT,
+                    settleMs: settleArgument
+                },
+                required: ['selector']
+            },
+            outputSchema: {
+                ...inputResultSchema,
+                properties: {
+                    ...inputResultSchema.properties,
+                    dropPoint: pointSchema,
+                    dropTarget: { type: ['string', 'null'] }
+                }
+            },
+            handler: (args: Parameters<typeof this.drag>[0]) => this.drag(args)
+        });
+
+        this.addTool({
+            name: 'wait_for',
+            description: 'Wait until a condition holds: an element appears, disappears, becomes visible or hidden, ' +
+                'text matches, a console message matching a pattern is logged, or a workspace, vault or ' +
+                'metadata cache event fires. Fails with an error on timeout. With timeoutMs 0 the condition is ' +
+                'checked once, which makes it an assertion',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: {
+                        type: 'string',
+                        description: `Element to wait for, or to search for text when text is given. ${SELECTOR_SYNTAX}`
+                    },
+                    state: {
+                        type: 'string',
+                        enum: ['present', 'absent', 'visible', 'hidden'],
+                        description: 'State the selector should reach',
+                        default: 'present'
+                    },
+                    window: WINDOW_ARGUMENT,
+                    text: {
+                        type: 'string',
+                        description: 'Text to find in the selector matches, or anywhere in the window without a selector. ' +
+                            'Contains and ignores case by default; "quoted" for exact, /regex/flags for a pattern'
+                    },
+                    consolePattern: {
+                        type: 'string',
+                        description: 'Regular expression matched against console messages logged after the call starts'
+                    },
+                    consoleLevels: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only match console messages of these levels'
+                    },
+                    event: {
+                        type: 'string',
+                        description: 'Event name, e.g. "layout-change" or "file-open" for the workspace. ' +
+                            'Prefix with "vault:" or "metadataCache:" for those, e.g. "metadataCache:resolved"'
+                    },
+                    timeoutMs: {
+                        type: 'number',
+                        description: `How long to wait, up to ${MAX_WAIT_MS} ms. The bridge extends its own request timeout to match`,
+                        default: 10000
+                    },
+                    pollMs: {
+                        type: 'number',
+                        description: 'How often selector and text conditions are checked',
+                        default: 100
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    condition: { type: 'string' },
+                    description: { type: 'string' },
+                    elapsedMs: { type: 'number' },
+                    count: { type: 'number' },
+                    element: { type: ['string', 'null'] },
+                    text: { type: 'string' },
+                    entry: { type: 'object' },
+                    event: { type: 'string' },
+                    args: { type: 'array' }
+                },
+                required: ['condition', 'description', 'elapsedMs']
+            },
+            handler: (args: Parameters<typeof this.waitFor>[0]) => this.waitFor(args)
+        });
+    }
+
+    private registerEditorTools() {
+        const leafArgument = {
+            type: 'string',
+            description: 'Leaf id of a Markdown view in editing mode (see get_workspace_layout). Defaults to the active one'
+        };
+        const positionArgument = {
+            type: ['number', 'object'],
+            description: 'Document offset, or {line, ch} with a 0-based line as in the Obsidian Editor API',
+            properties: {
+                line: { type: 'number' },
+                ch: { type: 'number' }
+            }
+        };
+        const stateSchema = {
+            file: { type: ['string', 'null'] },
+            leafId: { type: 'string' },
+            hasFocus: { type: 'boolean' },
+            length: { type: 'number' },
+            lines: { type: 'number' },
+            text: { type: 'string' },
+            selections: { type: 'array' },
+            mainSelection: { type: 'number' },
+            cursor: { type: 'object' },
+            viewport: { type: 'object' },
+            visibleRanges: { type: 'array' },
+            syntaxNodes: { type: 'array' }
+        };
+
+        this.addTool({
+            name: 'get_editor_state',
+            description: 'Get the CodeMirror state of a Markdown editor: document, selections, cursor, viewport ' +
+                'and the syntax tree nodes around the cursor, innermost first',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: leafArgument,
+                    includeDocument: {
+                        type: 'boolean',
+                        description: 'Include the document text',
+                        default: true
+                    },
+                    maxDocLength: {
+                        type: 'number',
+                        description: 'Truncate the document text after this many characters',
+                        default: 20000
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: stateSchema,
+                required: ['leafId', 'length', 'selections', 'cursor', 'viewport']
+            },
+            handler: (args: Parameters<typeof this.getEditorState>[0]) => this.getEditorState(args)
+        });
+
+        this.addTool({
+            name: 'get_editor_extensions',
+            description: 'List the state fields and view plugins active in a Markdown editor, with the plugin that ' +
+                'registered them where known. Plugins loaded before this one show a null owner until they are reloaded',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: leafArgument,
+                    includeValues: {
+                        type: 'boolean',
+                        description: 'Include a shallow serialization of each state field value',
+                        default: false
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    file: { type: ['string', 'null'] },
+                    stateFields: { type: 'array' },
+                    viewPlugins: { type: 'array' }
+                },
+                required: ['stateFields', 'viewPlugins']
+            },
+            handler: (args: Parameters<typeof this.getEditorExtensions>[0]) => this.getEditorExtensions(args)
+        });
+
+        this.addTool({
+            name: 'get_editor_decorations',
+            description: 'List the decorations and widgets a Markdown editor is drawing, with their ranges and the ' +
+                'view plugin or state field that provides them',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: leafArgument,
+                    from: {
+                        ...positionArgument,
+                        description: `Start of the range to list. Defaults to the viewport. ${positionArgument.description}`
+                    },
+                    to: {
+                        ...positionArgument,
+                        description: `End of the range to list. Defaults to the viewport. ${positionArgument.description}`
+                    },
+                    limit: {
+                        type: 'number',
+                        description: 'Maximum number of decorations to return',
+                        default: 200
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    file: { type: ['string', 'null'] },
+                    from: { type: 'number' },
+                    to: { type: 'number' },
+                    count: { type: 'number' },
+                    truncated: { type: 'boolean' },
+                    decorations: { type: 'array' }
+                },
+                required: ['from', 'to', 'count', 'decorations']
+            },
+            handler: (args: Parameters<typeof this.getEditorDecorations>[0]) => this.getEditorDecorations(args)
+        });
+
+        this.addTool({
+            name: 'editor_dispatch',
+            description: 'Dispatch a CodeMirror transaction to a Markdown editor to insert, replace or delete text ' +
+                'and/or set the selection. Changes require the file to be in a writable folder',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: leafArgument,
+                    changes: {
+                        type: 'array',
+                        description: 'Changes, all relative to the current document. Omit "to" to insert, omit "insert" to delete',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                from: positionArgument,
+                                to: positionArgument,
+                                insert: { type: 'string' }
+                            },
+                            required: ['from']
+                        }
+                    },
+                    selection: {
+                        type: 'object',
+                        description: 'New selection, relative to the document after the changes. Omit "head" for a cursor',
+                        properties: {
+                            anchor: positionArgument,
+                            head: positionArgument
+                        },
+                        required: ['anchor']
+                    },
+                    scrollIntoView: {
+                        type: 'boolean',
+                        description: 'Scroll the new selection into view',
+                        default: true
+                    },
+                    userEvent: {
+                        type: 'string',
+                        description: 'User event annotation, e.g. "input.type" or "delete", for extensions that filter on it'
+                    },
+                    settleMs: {
+                        type: 'number',
+                        description: 'How long to collect console errors after dispatching',
+                        default: 100
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    ...stateSchema,
+                    changed: { type: 'boolean' },
+                    consoleErrors: { type: 'array' }
+                },
+                required: ['leafId', 'changed', 'selections', 'consoleErrors']
+            },
+            handler: (args: Parameters<typeof this.editorDispatch>[0]) => this.editorDispatch(args)
+        });
+    }
+
+    private registerCssTools() {
+        const snippetSchema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                path: { type: 'string' },
+                enabled: { type: 'boolean' }
+            },
+            required: ['name', 'path', 'enabled']
+        };
+
+        this.addTool({
+            name: 'inject_css',
+            description: 'Add a named stylesheet to Obsidian, or replace the CSS of an existing one with the same name. ' +
+                'Injected stylesheets are temporary and removed when the plugin unloads',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        description: 'Name of the stylesheet, used to update or remove it later'
+                    },
+                    css: {
+                        type: 'string',
+                        description: 'CSS text'
+                    }
+                },
+                required: ['name', 'css']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    created: { type: 'boolean' },
+                    length: { type: 'number' },
+                    injected: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['name', 'created', 'length', 'injected']
+            },
+            handler: (args: { name: string; css: string }) => this.injectCss(args.name, args.css)
+        });
+
+        this.addTool({
+            name: 'remove_css',
+            description: 'Remove a stylesheet added with inject_css, or all of them when no name is given',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        description: 'Name of the injected stylesheet'
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    removed: { type: 'array', items: { type: 'string' } },
+                    injected: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['removed', 'injected']
+            },
+            handler: (args: { name?: string }) => this.removeCss(args.name)
+        });
+
+        this.addTool({
+            name: 'list_css_snippets',
+            description: 'List the CSS snippets in the vault\'s snippets folder and whether each is enabled',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    folder: { type: 'string' },
+                    snippets: { type: 'array', items: snippetSchema }
+                },
+                required: ['folder', 'snippets']
+            },
+            handler: () => this.listCssSnippets()
+        });
+
+        this.addTool({
+            name: 'set_css_snippet_enabled',
+            description: 'Enable or disable a CSS snippet',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        description: 'Snippet name without the .css extension'
+                    },
+                    enabled: {
+                        type: 'boolean',
+                        description: 'Whether the snippet should be enabled'
+                    }
+                },
+                required: ['name', 'enabled']
+            },
+            outputSchema: snippetSchema,
+            handler: (args: { name: string; enabled: boolean }) => this.setCssSnippetEnabled(args.name, args.enabled)
+        });
+
+        this.addTool({
+            name: 'save_css_snippet',
+            description: 'Write CSS to a snippet file in the vault\'s snippets folder and optionally enable it. ' +
+                'Use this to keep the final result of inject_css',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        description: 'Snippet name without the .css extension'
+                    },
+                    css: {
+                        type: 'string',
+                        description: 'CSS text; defaults to the CSS of the injected stylesheet with the same name'
+                    },
+                    enable: {
+                        type: 'boolean',
+                        description: 'Enable the snippet after writing it',
+                        default: true
+                    },
+                    overwrite: {
+                        type: 'boolean',
+                        description: 'Replace an existing snippet with the same name',
+                        default: false
+                    },
+                    removeInjected: {
+                        type: 'boolean',
+                        description: 'Remove the injected stylesheet with the same name once the snippet is saved',
+                        default: true
+                    }
+                },
+                required: ['name']
+            },
+            outputSchema: snippetSchema,
+            handler: (args: {
+                name: string;
+                css?: string;
+                enable?: boolean;
+                overwrite?: boolean;
+                removeInjected?: boolean;
+            }) => this.saveCssSnippet(args.name, args.css, args.enable, args.overwrite, args.removeInjected)
+        });
+
+        const declarationSchema = {
+            type: 'object',
+            properties: {
+                property: { type: 'string' },
+                value: { type: 'string' },
+                important: { type: 'boolean' },
+                overridden: { type: 'boolean' }
+            },
+            required: ['property', 'value', 'important', 'overridden']
+        };
+        const matchedRuleSchema = {
+            type: 'object',
+            properties: {
+                selector: { type: 'string' },
+                matchedSelector: { type: ['string', 'null'] },
+                specificity: { type: ['array', 'null'], items: { type: 'number' } },
+                source: { type: 'string' },
+                stylesheet: { type: ['number', 'null'] },
+                layer: { type: ['string', 'null'] },
+                conditions: { type: 'array', items: { type: 'string' } },
+                declarations: { type: 'array', items: declarationSchema }
+            },
+            required: ['selector', 'source', 'declarations']
+        };
+
+        this.addTool({
+            name: 'get_matched_rules',
+            description: 'Explain the cascade for an element: the CSS rules matching it in precedence order ' +
+                '(winning rule first), with source stylesheet, specificity, @media/@layer context and which ' +
+                'declarations are overridden. Also lists inherited declarations from ancestors and ::before/::after rules',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    selector: {
+                        type: 'string',
+                        description: `Selector of the element; the first match is used. ${SELECTOR_SYNTAX}`
+                    },
+                    window: WINDOW_ARGUMENT,
+                    properties: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only report these properties; a trailing * matches a prefix, e.g. "font-*" or "--*"'
+                    },
+                    includeVariables: {
+                        type: 'boolean',
+                        description: 'Include custom properties (--*) when no properties filter is given',
+                        default: false
+                    },
+                    includeInherited: {
+                        type: 'boolean',
+                        description: 'Include inheritable declarations from ancestor rules',
+                        default: true
+                    },
+                    includePseudoElements: {
+                        type: 'boolean',
+                        description: 'Include rules for the ::before and ::after pseudo-elements',
+                        default: true
+                    }
+                },
+                required: ['selector']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    selector: { type: 'string' },
+                    element: { type: 'string' },
+                    rules: { type: 'array', items: matchedRuleSchema },
+                    computed: { type: 'object', additionalProperties: { type: 'string' } },
+                    inherited: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                element: { type: 'string' },
+                                rules: { type: 'array', items: matchedRuleSchema }
+                            },
+                            required: ['element', 'rules']
+                        }
+                    },
+                    pseudoElements: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                content: { type: 'string' },
+                                rules: { type: 'array', items: matchedRuleSchema }
+                            },
+                            required: ['content', 'rules']
+                        }
+                    },
+                    stylesheets: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                index: { type: 'number' },
+                                label: { type: 'string' },
+                                href: { type: ['string', 'null'] },
+                                owner: { type: ['string', 'null'] }
+                            },
+                            required: ['index', 'label']
+                        }
+                    }
+                },
+                required: ['selector', 'element', 'rules', 'computed', 'inherited', 'pseudoElements', 'stylesheets']
+            },
+            handler: (args: Parameters<typeof this.getMatchedRules>[0]) => this.getMatchedRules(args)
+        });
+    }
+
+    private registerNetworkTools() {
+        this.addTool({
+            name: 'set_network_capture',
+            description: 'Turn recording of fetch, XMLHttpRequest and requestUrl traffic on or off. ' +
+                'Capture is off by default and costs nothing while off',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    enabled: {
+                        type: 'boolean',
+                        description: 'Whether to record network requests'
+                    }
+                },
+                required: ['enabled']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    capturing: { type: 'boolean' }
+                },
+                required: ['capturing']
+            },
+            handler: async (args: { enabled: boolean }) => {
+                this.settings.captureNetwork = !!args.enabled;
+                await this.saveSettings();
+                return { capturing: this.settings.captureNetwork };
+            }
+        });
+
+        this.addTool({
+            name: 'get_network_requests',
+            description: 'Get recorded network requests with method, URL, status, timing, headers and ' +
+                'size-limited bodies. Auth headers are redacted unless disabled in settings',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    limit: {
+                        type: 'number',
+                        description: 'Maximum number of requests to return (most recent are kept); 0 for no limit',
+                        default: 50
+                    },
+                    urlPattern: {
+                        type: 'string',
+                        description: 'Regular expression matched against the URL (case-insensitive)'
+                    },
+                    method: {
+                        type: 'string',
+                        description: 'Only requests with this HTTP method'
+                    },
+                    api: {
+                        type: 'string',
+                        enum: ['fetch', 'xhr', 'requestUrl'],
+                        description: 'Only requests made through this API'
+                    },
+                    minStatus: {
+                        type: 'number',
+                        description: 'Only responses with at least this status code'
+                    },
+                    maxStatus: {
+                        type: 'number',
+                        description: 'Only responses with at most this status code'
+                    },
+                    failedOnly: {
+                        type: 'boolean',
+                        description: 'Only requests that failed or returned status 400 or above',
+                        default: false
+                    },
+                    sinceId: {
+                        type: 'number',
+                        description: 'Only requests with an id greater than this; pass latestId from a previous call to poll'
+                    },
+                    plugin: {
+                        type: 'string',
+                        description: 'Only requests made by this plugin id'
+                    },
+                    includeBodies: {
+                        type: 'boolean',
+                        description: 'Include request and response bodies',
+                        default: true
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    capturing: { type: 'boolean' },
+                    requests: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'number' },
+                                api: { type: 'string' },
+                                method: { type: 'string' },
+                                url: { type: 'string' },
+                                status: { type: ['number', 'null'] },
+                                statusText: { type: 'string' },
+                                requestHeaders: { type: 'object' },
+                                responseHeaders: { type: 'object' },
+                                requestBody: { type: ['string', 'null'] },
+                                responseBody: { type: ['string', 'null'] },
+                                error: { type: ['string', 'null'] },
+                                plugin: { type: ['string', 'null'] },
+                                timestamp: { type: 'string' },
+                                time: { type: 'number' },
+                                durationMs: { type: ['number', 'null'] }
+                            }
+                        }
+                    },
+                    matched: { type: 'number' },
+                    latestId: { type: 'number' }
+                },
+                required: ['capturing', 'requests', 'matched', 'latestId']
+            },
+            handler: (args: Parameters<typeof this.getNetworkRequests>[0]) => this.getNetworkRequests(args)
+        });
+
+        this.addTool({
+            name: 'clear_network_requests',
+            description: 'Clear all recorded network requests',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    cleared: { type: 'number' }
+                },
+                required: ['cleared']
+            },
+            handler: () => {
+                const cleared = this.networkEntries.length;
+                this.networkEntries = [];
+                return { cleared };
+            }
+        });
+    }
+
+    private registerPluginTools() {
+        const pluginInfoSchema = {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                version: { type: 'string' },
+                enabled: { type: 'boolean' },
+                loaded: { type: 'boolean' },
+                loadError: { type: ['string', 'null'] }
+            },
+            required: ['id', 'name', 'version', 'enabled', 'loaded', 'loadError']
+        };
+        const lifecycleSchema = {
+            type: 'object',
+            properties: {
+                plugin: pluginInfoSchema,
+                error: { type: ['string', 'null'] },
+                console: { type: 'array', items: { type: 'object' } },
+                uncaughtErrors: { type: 'array', items: { type: 'object' } }
+            },
+            required: ['plugin', 'error', 'console', 'uncaughtErrors']
+        };
+        const pluginIdSchema = {
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    description: 'Plugin id from list_plugins'
+                }
+            },
+            required: ['id']
+        };
+
+        this.addTool({
+            name: 'list_plugins',
+            description: 'List installed community plugins with their version, enabled/loaded state and load errors',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    plugins: { type: 'array', items: pluginInfoSchema }
+                },
+                required: ['plugins']
+            },
+            handler: () => this.listPlugins()
+        });
+
+        this.addTool({
+            name: 'enable_plugin',
+            description: 'Enable a community plugin and save it as enabled. Returns console output and uncaught errors ' +
+                'logged while it loaded',
+            inputSchema: pluginIdSchema,
+            outputSchema: lifecycleSchema,
+            handler: (args: { id: string }) => this.setPluginEnabled(args.id, true)
+        });
+
+        this.addTool({
+            name: 'disable_plugin',
+            description: 'Disable a community plugin and save it as disabled',
+            inputSchema: pluginIdSchema,
+            outputSchema: lifecycleSchema,
+            handler: (args: { id: string }) => this.setPluginEnabled(args.id, false)
+        });
+
+        this.addTool({
+            name: 'reload_plugin',
+            description: 'Reload an enabled community plugin from disk (re-reading its manifest and main.js) and return ' +
+                'the console output and uncaught errors logged during the reload',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'string',
+                        description: 'Plugin id from list_plugins'
+                    },
+                    settleMs: {
+                        type: 'number',
+                        description: 'How long to keep collecting console output after the plugin has loaded',
+                        default: 500
+                    }
+                },
+                required: ['id']
+            },
+            outputSchema: lifecycleSchema,
+            handler: (args: { id: string; settleMs?: number }) => this.reloadPlugin(args.id, args.settleMs)
+        });
+    }
+
+    private registerCommandTools() {
+        this.addTool({
+            name: 'list_commands',
+            description: 'List commands registered in the command palette with their owning plugin, ' +
+                'hotkeys and whether they can run right now',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    query: {
+                        type: 'string',
+                        description: 'Only include commands whose id or name contains this text (case-insensitive)'
+                    },
+                    plugin: {
+                        type: 'string',
+                        description: 'Only include commands owned by this plugin id'
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    count: { type: 'number' },
+                    commands: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string' },
+                                name: { type: 'string' },
+                                plugin: { type: 'string' },
+                                hotkeys: { type: 'array', items: { type: 'string' } },
+                                available: { type: 'boolean' }
+                            },
+                            required: ['id', 'name', 'plugin', 'hotkeys', 'available']
+                        }
+                    }
+                },
+                required: ['count', 'commands']
+            },
+            handler: (args: { query?: string; plugin?: string }) => this.listCommands(args.query, args.plugin)
+        });
+
+        this.addTool({
+            name: 'execute_command',
+            description: 'Execute a command by id and return whether it ran, plus console output and errors ' +
+                'logged while it ran',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'string',
+                        description: 'Command id from list_commands, e.g. editor:toggle-bold'
+                    },
+                    settleMs: {
+                        type: 'number',
+                        description: 'How long to keep collecting console output after the command returns',
+                        default: 200
+                    }
+                },
+                required: ['id']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    executed: { type: 'boolean' },
+                    error: { type: ['string', 'null'] },
+                    console: { type: 'array', items: { type: 'object' } },
+                    uncaughtErrors: { type: 'array', items: { type: 'object' } }
+                },
+                required: ['id', 'executed', 'error', 'console', 'uncaughtErrors']
+            },
+            handler: (args: { id: string; settleMs?: number }) => this.executeObsidianCommand(args.id, args.settleMs)
+        });
+    }
+
+    private registerWorkspaceTools() {
+        const leafSchema = {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                viewType: { type: 'string' },
+                title: { type: 'string' },
+                file: { type: ['string', 'null'] },
+                mode: { type: ['string', 'null'] },
+                active: { type: 'boolean' },
+                pinned: { type: 'boolean' },
+                deferred: { type: 'boolean' }
+            },
+            required: ['id', 'viewType']
+        };
+
+        this.addTool({
+            name: 'get_workspace_layout',
+            description: 'Get the workspace layout tree: splits, tab groups and leaves with their view types, ' +
+                'attached files and pinned/active state, including sidebars and popout windows',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    main: { type: 'object' },
+                    left: { type: ['object', 'null'] },
+                    right: { type: ['object', 'null'] },
+                    popouts: { type: 'array', items: { type: 'object' } },
+                    activeLeafId: { type: ['string', 'null'] }
+                },
+                required: ['main', 'popouts', 'activeLeafId']
+            },
+            handler: () => this.getWorkspaceLayout()
+        });
+
+        this.addTool({
+            name: 'list_windows',
+            description: 'List the open Obsidian windows: the main window and any popouts, with their ids, ' +
+                'titles, focus, screen bounds and the leaves they show. Pass an id as the window argument of DOM tools',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    windows: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string' },
+                                title: { type: 'string' },
+                                focused: { type: 'boolean' },
+                                bounds: {
+                                    type: 'object',
+                                    properties: {
+                                        x: { type: 'number' },
+                                        y: { type: 'number' },
+                                        width: { type: 'number' },
+                                        height: { type: 'number' }
+                                    }
+                                },
+                                leaves: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                },
+                required: ['windows']
+            },
+            handler: () => this.listWindows()
+        });
+
+        this.addTool({
+            name: 'get_active_file',
+            description: 'Get the active file, the active leaf and its view mode (source, live preview or reading)',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    file: { type: ['string', 'null'] },
+                    leaf: { ...leafSchema, type: ['object', 'null'] }
+                },
+                required: ['file', 'leaf']
+            },
+            handler: () => this.getActiveFileInfo()
+        });
+
+        this.addTool({
+            name: 'open_file',
+            description: 'Open a vault file in the current leaf, a new tab, a split or a popout window',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Vault-relative file path'
+                    },
+                    target: {
+                        type: 'string',
+                        enum: ['current', 'tab', 'split', 'window'],
+                        description: 'Where to open the file',
+                        default: 'current'
+                    },
+                    leafId: {
+                        type: 'string',
+                        description: 'Open in this existing leaf instead (from get_workspace_layout)'
+                    },
+                    active: {
+                        type: 'boolean',
+                        description: 'Make the leaf active',
+                        default: true
+                    }
+                },
+                required: ['path']
+            },
+            outputSchema: leafSchema,
+            handler: (args: { path: string; target?: string; leafId?: string; active?: boolean }) => this.openFile(args.path, args.target, args.leafId, args.active)
+        });
+
+        this.addTool({
+            name: 'focus_leaf',
+            description: 'Make a leaf the active, focused leaf',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: {
+                        type: 'string',
+                        description: 'Leaf id from get_workspace_layout'
+                    }
+                },
+                required: ['leafId']
+            },
+            outputSchema: leafSchema,
+            handler: (args: { leafId: string }) => this.focusLeaf(args.leafId)
+        });
+
+        this.addTool({
+            name: 'set_view_state',
+            description: 'Change the view of a leaf: its view type, view state (e.g. { "mode": "preview" }) or pinned state',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: {
+                        type: 'string',
+                        description: 'Leaf id from get_workspace_layout'
+                    },
+                    type: {
+                        type: 'string',
+                        description: 'View type, e.g. markdown, graph, empty. Keeps the current type when omitted'
+                    },
+                    state: {
+                        type: 'object',
+                        description: 'View state merged into the current state, e.g. { "mode": "source", "source": false }'
+                    },
+                    pinned: {
+                        type: 'boolean',
+                        description: 'Pin or unpin the leaf'
+                    }
+                },
+                required: ['leafId']
+            },
+            outputSchema: leafSchema,
+            handler: (args: {
+                leafId: string;
+                type?: string;
+                state?: Record<string, unknown>;
+                pinned?: boolean;
+            }) => this.setViewState(args.leafId, args.type, args.state, args.pinned)
+        });
+
+        this.addTool({
+            name: 'close_leaf',
+            description: 'Close (detach) a leaf',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: {
+                        type: 'string',
+                        description: 'Leaf id from get_workspace_layout'
+                    }
+                },
+                required: ['leafId']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    leafId: { type: 'string' },
+                    closed: { type: 'boolean' }
+                },
+                required: ['leafId', 'closed']
+            },
+            handler: (args: { leafId: string }) => this.closeLeaf(args.leafId)
+        });
+    }
+
+    private registerVaultTools() {
+        const fileEntrySchema = {
+            type: 'object',
+            properties: {
+                path: { type: 'string' },
+                name: { type: 'string' },
+                type: { type: 'string', enum: ['file', 'folder'] },
+                extension: { type: 'string' },
+                size: { type: 'number' },
+                ctime: { type: 'number' },
+                mtime: { type: 'number' }
+            },
+            required: ['path', 'name', 'type']
+        };
+
+        this.addTool({
+            name: 'list_folder',
+            description: 'List the files and folders in a vault folder',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Vault-relative folder path; the vault root when omitted',
+                        default: '/'
+                    },
+                    recursive: {
+                        type: 'boolean',
+                        description: 'Include the contents of subfolders',
+                        default: false
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    entries: { type: 'array', items: fileEntrySchema }
+                },
+                required: ['path', 'entries']
+            },
+            handler: (args: { path?: string; recursive?: boolean }) => this.listFolder(args.path, args.recursive)
+        });
+
+        this.addTool({
+            name: 'read_file',
+            description: 'Read the text content of a vault file',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Vault-relative file path, e.g. Notes/Test.md'
+                    }
+                },
+                required: ['path']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    content: { type: 'string' },
+                    size: { type: 'number' },
+                    mtime: { type: 'number' }
+                },
+                required: ['path', 'content', 'mtime']
+            },
+            handler: (args: { path: string }) => this.readFile(args.path)
+        });
+
+        this.addTool({
+            name: 'write_file',
+            description: 'Create a vault file or replace its content. Pass the mtime from read_file as expectedMtime ' +
+                'to fail instead of overwriting changes made since it was read. Only allowed in writable folders.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Vault-relative file path; missing parent folders are created'
+                    },
+                    content: {
+                        type: 'string',
+                        description: 'New file content'
+                    },
+                    expectedMtime: {
+                        type: 'number',
+                        description: 'Only write if the file is unchanged since this modification time'
+                    },
+                    createOnly: {
+                        type: 'boolean',
+                        description: 'Fail if the file already exists',
+                        default: false
+                    }
+                },
+                required: ['path', 'content']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    created: { type: 'boolean' },
+                    size: { type: 'number' },
+                    mtime: { type: 'number' }
+                },
+                required: ['path', 'created', 'mtime']
+            },
+            handler: (args: {
+                path: string;
+                content: string;
+                expectedMtime?: number;
+                createOnly?: boolean;
+            }) => this.writeFile(args.path, args.content, args.expectedMtime, args.createOnly)
+        });
+
+        this.addTool({
+            name: 'rename_file',
+            description: 'Rename or move a vault file or folder, updating links to it. ' +
+                'Both paths must be in writable folders.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Current vault-relative path'
+                    },
+                    newPath: {
+                        type: 'string',
+                        description: 'New vault-relative path'
+                    }
+                },
+                required: ['path', 'newPath']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    oldPath: { type: 'string' },
+                    path: { type: 'string' }
+                },
+                required: ['oldPath', 'path']
+            },
+            handler: (args: { path: string; newPath: string }) => this.renameFile(args.path, args.newPath)
+        });
+
+        this.addTool({
+            name: 'delete_file',
+            description: 'Move a vault file or folder to the trash, following the vault\'s trash setting. ' +
+                'Only allowed in writable folders.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Vault-relative path of the file or folder'
+                    }
+                },
+                required: ['path']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    trashed: { type: 'boolean' }
+                },
+                required: ['path', 'trashed']
+            },
+            handler: (args: { path: string }) => this.deleteFile(args.path)
+        });
+    }
+
+    private registerMetadataTools() {
+        const pathArgument = {
+            type: 'string',
+            description: 'Vault-relative path of a Markdown note, e.g. Notes/Test.md'
+        };
+        const referenceSchema = {
+            type: 'object',
+            properties: {
+                link: { type: 'string' },
+                original: { type: 'string' },
+                displayText: { type: ['string', 'null'] },
+                resolved: { type: ['string', 'null'] },
+                line: { type: 'number' }
+            },
+            required: ['link', 'original', 'resolved']
+        };
+
+        this.addTool({
+            name: 'get_file_metadata',
+            description: 'Get what the metadata cache knows about a note: frontmatter, tags, headings, links, ' +
+                'embeds and block ids, with 0-based line numbers. Links include the file they resolve to',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: pathArgument
+                },
+                required: ['path']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    frontmatter: { type: ['object', 'null'] },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    inlineTags: { type: 'array' },
+                    headings: { type: 'array' },
+                    links: { type: 'array', items: referenceSchema },
+                    embeds: { type: 'array', items: referenceSchema },
+                    frontmatterLinks: { type: 'array' },
+                    blocks: { type: 'array' }
+                },
+                required: ['path', 'frontmatter', 'tags', 'headings', 'links', 'embeds', 'blocks']
+            },
+            handler: (args: { path: string }) => this.getFileMetadata(args.path)
+        });
+
+        this.addTool({
+            name: 'get_note_links',
+            description: 'Get the resolved and unresolved links going out of a note and the notes linking to it',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: pathArgument,
+                    includeLocations: {
+                        type: 'boolean',
+                        description: 'Include where in each linking note the backlinks are',
+                        default: false
+                    }
+                },
+                required: ['path']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string' },
+                    outgoing: { type: 'array' },
+                    unresolved: { type: 'array' },
+                    backlinks: { type: 'array' }
+                },
+                required: ['path', 'outgoing', 'unresolved', 'backlinks']
+            },
+            handler: (args: { path: string; includeLocations?: boolean }) => this.getNoteLinks(args.path, args.includeLocations)
+        });
+
+        this.addTool({
+            name: 'list_tags',
+            description: 'List the tags used in the vault, from frontmatter and note bodies, with how often ' +
+                'they are used and in how many notes. Tags differing only in case are counted together',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    prefix: {
+                        type: 'string',
+                        description: 'Only list tags starting with this, e.g. "#project/"'
+                    },
+                    sort: {
+                        type: 'string',
+                        enum: ['count', 'name'],
+                        default: 'count'
+                    },
+                    limit: {
+                        type: 'number',
+                        default: 500
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    total: { type: 'number' },
+                    returned: { type: 'number' },
+                    tags: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                tag: { type: 'string' },
+                                count: { type: 'number' },
+                                files: { type: 'number' }
+                            },
+                            required: ['tag', 'count', 'files']
+                        }
+                    }
+                },
+                required: ['total', 'returned', 'tags']
+            },
+            handler: (args: Parameters<typeof this.listTags>[0]) => this.listTags(args)
+        });
+
+        this.addTool({
+            name: 'find_notes_by_frontmatter',
+            description: 'Find notes whose frontmatter has a key, or a key with a given value. ' +
+                'For list values such as tags or aliases, any item can match',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    key: {
+                        type: 'string',
+                        description: 'Frontmatter key, matched exactly'
+                    },
+                    value: {
+                        type: ['string', 'number', 'boolean'],
+                        description: 'Value to look for. Omit to find every note that has the key'
+                    },
+                    match: {
+                        type: 'string',
+                        enum: ['equals', 'contains', 'exists'],
+                        description: '"equals" compares as text, "contains" is a case-insensitive substring match. ' +
+                            'Defaults to "equals" with a value and "exists" without'
+                    },
+                    folder: {
+                        type: 'string',
+                        description: 'Only search notes inside this folder'
+                    },
+                    limit: {
+                        type: 'number',
+                        default: 100
+                    }
+                },
+                required: ['key']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    key: { type: 'string' },
+                    match: { type: 'string' },
+                    count: { type: 'number' },
+                    truncated: { type: 'boolean' },
+                    notes: { type: 'array' }
+                },
+                required: ['key', 'match', 'count', 'notes']
+            },
+            handler: (args: Parameters<typeof this.findNotesByFrontmatter>[0]) => this.findNotesByFrontmatter(args)
+        });
+
+        this.addTool({
+            name: 'wait_for_metadata',
+            description: 'Wait until the metadata cache has indexed the current content of a note, e.g. after ' +
+                'write_file, and has no indexing work left. Without a path, only waits for pending work',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    path: pathArgument,
+                    timeoutMs: {
+                        type: 'number',
+                        description: `How long to wait, up to ${MAX_WAIT_MS} ms`,
+                        default: 10000
+                    }
+                }
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    path: { type: ['string', 'null'] },
+                    elapsedMs: { type: 'number' }
+                },
+                required: ['path', 'elapsedMs']
+            },
+            handler: (args: Parameters<typeof this.waitForMetadata>[0]) => this.waitForMetadata(args)
+        });
+    }
+
+    // evaluate_javascript is only advertised while enabled in settings
+    private updateEvaluateTool() {
+        const registered = this.tools.has('evaluate_javascript');
+        if (registered === this.settings.enableEvaluate) {
+            return;
+        }
+
+        if (!this.settings.enableEvaluate) {
+            this.tools.delete('evaluate_javascript');
+            this.scheduleToolCatalog();
+            return;
+        }
+
+        this.addTool({
+            name: 'evaluate_javascript',
+            description: 'Evaluate a JavaScript expression or statements in the Obsidian renderer and return the result. ' +
+                '`app` is in scope, `await` is supported and promises are awaited. Use `return` to return a value from multiple statements.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    expression: {
+                        type: 'string',
+                        description: 'JavaScript expression, e.g. app.plugins.plugins["x"].settings'
+                    },
+                    maxDepth: {
+                        type: 'number',
+                        description: 'How deep to serialize nested objects',
+                        default: DEFAULT_SERIALIZE_OPTIONS.maxDepth
+                    }
+                },
+                required: ['expression']
+            },
+            outputSchema: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string' },
+                    value: {},
+                    durationMs: { type: 'number' }
+                },
+                required: ['type', 'value', 'durationMs']
+            },
+            handler: (args: { expression: string; maxDepth?: number }) => this.evaluateJavaScript(args.expression, args.maxDepth)
+        });
+        this.scheduleToolCatalog();
+    }
+
+    private async queryElements(options: {
+        selector: string;
+        window?: string;
+        offset?: number;
+        limit?: number;
+        depth?: number;
+        maxChildren?: number;
+        maxTextLength?: number;
+        maxAttributeLength?: number;
+        includeGeometry?: boolean;
+        includeSelectorPath?: boolean;
+        includeInnerHTML?: boolean;
+    }) {
+        const { selector, offset = 0, limit = 20, includeInnerHTML = false } = options;
+        log('Querying elements:', selector);
+        const treeOptions: ElementTreeOptions = {
+            depth: options.depth ?? 1,
+            maxChildren: options.maxChildren ?? 20,
+            maxTextLength: options.maxTextLength ?? 200,
+            maxAttributeLength: options.maxAttributeLength ?? 200,
+            includeGeometry: options.includeGeometry ?? false,
+            includeSelectorPath: options.includeSelectorPath ?? false
+        };
+        try {
+            const matches = this.findElements(selector, options.window);
+            if (matches.length === 0) {
+                log('No elements found for selector:', selector);
+            }
+
+            const budget = { remaining: MAX_TREE_NODES, exhausted: false };
+            const elements = matches.slice(offset, offset + limit).map(element => {
+                const node = serializeElementTree(element, treeOptions, budget);
+                if (includeInnerHTML) {
+                    node.innerHTML = element.innerHTML;
+                }
+                return node;
+            });
+            const end = offset + elements.length;
+
+            log(`Returning ${elements.length} of ${matches.length} matches`);
+            return {
+                selector,
+                count: matches.length,
+                offset,
+                returned: elements.length,
+                nextOffset: end < matches.length ? end : null,
+                nodeLimitReached: budget.exhausted,
+                elements
+            };
+        } catch (error) {
+            log('Query error:', error);
+            throw error;
+        }
+    }
+
+    private async getComputedStyles(options: {
+        selector: string;
+        window?: string;
+        properties?: string[];
+        index?: number;
+        all?: boolean;
+        pseudoElement?: string;
+        omitDefaults?: boolean;
+        saveAs?: string;
+        diffAgainst?: string;
+        compareSelector?: string;
+        includeStyles?: boolean;
+    }) {
+        const { selector, properties, index = 0, all = false, pseudoElement, omitDefaults = false } = options;
+        log('Getting styles for:', selector);
+        const wantsDiff = options.diffAgainst !== undefined || options.compareSelector !== undefined;
+        if (all && (wantsDiff || options.saveAs)) {
+            throw new Error('saveAs, diffAgainst and compareSelector work on a single element; use index instead of all');
+        }
+        const snapshot = options.diffAgainst !== undefined ? this.styleSnapshots.get(options.diffAgainst) : undefined;
+        if (options.diffAgainst !== undefined && !snapshot) {
+            throw new Error(`No saved styles named ${options.diffAgainst}`);
+        }
+
+        const matches = this.findElements(selector, options.window);
+        const targets = all ? matches.slice(0, MAX_STYLE_ELEMENTS) : matches.slice(index, index + 1);
+        if (targets.length === 0) {
+            log('Element not found:', selector);
+            return { selector, found: false, count: matches.length, styles: null };
+        }
+
+        const wanted = propertyMatcher(properties);
+        // Exact names are read even if the browser doesn't enumerate them, e.g. unset custom properties
+        const named = (properties ?? []).filter(property => !property.endsWith('*'));
+        const readStyles = (element: Element) => {
+            const computed = viewOf(element).getComputedStyle(element, pseudoElement);
+            const names = new Set([...Array.from(computed), ...named]);
+            const styles: Record<string, string> = {};
+            names.forEach(name => {
+                if (wanted(name)) {
+                    styles[name] = computed.getPropertyValue(name);
+                }
+            });
+            return styles;
+        };
+
+        // Defaults come from a same-tag element in a blank iframe, where no author styles apply
+        const frame = omitDefaults ? document.body.createEl('iframe', { attr: { 'aria-hidden': 'true' } }) : null;
+        frame?.setAttribute('style', 'position: fixed; left: -10000px; width: 0; height: 0; border: 0;');
+        const defaults = new Map<string, CSSStyleDeclaration>();
+        const withoutDefaults = (element: Element, styles: Record<string, string>) => {
+            if (!frame) {
+                return styles;
+            }
+            let reference = defaults.get(element.localName);
+            if (!reference) {
+                const frameDocument = frame.contentDocument as Document;
+                const blank = frameDocument.body.appendChild(
+                    frameDocument.createElementNS(element.namespaceURI, element.localName));
+                reference = (frame.contentWindow as Window).getComputedStyle(blank, pseudoElement);
+                defaults.set(element.localName, reference);
+            }
+            const defaultStyle = reference;
+            return Object.fromEntries(Object.entries(styles)
+                .filter(([name, value]) => value !== defaultStyle.getPropertyValue(name)));
+        };
+
+        try {
+            if (all) {
+                const elements = targets.map((element, i) => ({
+                    index: i,
+                    element: describeNode(element),
+                    styles: withoutDefaults(element, readStyles(element))
+                }));
+                return { selector, found: true, count: matches.length, styles: elements[0].styles, elements };
+            }
+
+            const element = targets[0];
+            const styles = readStyles(element);
+            const result: Record<string, unknown> = { selector, found: true, count: matches.length };
+            result.styles = (options.includeStyles ?? !wantsDiff) ? withoutDefaults(element, styles) : null;
+
+            let before: Record<string, string> | null = null;
+            // A snapshot may have been read with another properties filter; only what both reads cover is compared
+            let readBefore = wanted;
+            let against = '';
+            if (snapshot) {
+                before = snapshot.styles;
+                readBefore = propertyMatcher(snapshot.properties);
+                against = `saved styles ${options.diffAgainst}`;
+            } else if (options.compareSelector !== undefined) {
+                const other = this.findElements(options.compareSelector, options.window)[0];
+                if (!other) {
+                    throw new Error(`Element not found: ${options.compareSelector}`);
+                }
+                before = readStyles(other);
+                against = options.compareSelector;
+            }
+            if (before) {
+                const changed: Record<string, { from: string | null; to: string | null }> = {};
+                new Set([...Object.keys(before), ...Object.keys(styles)]).forEach(name => {
+                    if (!wanted(name) || !readBefore(name)) {
+                        return;
+                    }
+                    const from = before?.[name] ?? null;
+                    const to = styles[name] ?? null;
+                    if (from !== to) {
+                        changed[name] = { from, to };
+                    }
+                });
+                result.diff = { against, changed };
+            }
+
+            if (options.saveAs) {
+                this.styleSnapshots.set(options.saveAs, { styles, properties });
+                result.saved = options.saveAs;
+            }
+            log('Style results:', result);
+            return result;
+        } catch (error) {
+            log('Style error:', error);
+            throw error;
+        } finally {
+            frame?.remove();
+        }
+    }
+
+    private async captureScreenshot(options: {
+        selector?: string;
+        window?: string;
+        padding?: number;
+        scale?: number;
+        maxWidth?: number;
+        maxHeight?: number;
+    }) {
+        log('Capturing screenshot:', options);
+        const win = this.getTargetWindow(options.window);
+        const webContents = this.getWebContents(win);
+        if (!webContents?.capturePage) {
+            throw new Error('Screenshots require the Electron webContents of the desktop app');
+        }
+
+        let rect: { x: number; y: number; width: number; height: number } | null = null;
+        if (options.selector) {
+            const element = this.findElements(options.selector, options.window)[0];
+            if (!element) {
+                throw new Error(`Element not found: ${options.selector}`);
+            }
+            // Bounding rects are in CSS pixels; capturePage expects DIPs, which
+            // differ from CSS pixels by the zoom factor
+            const zoom = webContents.getZoomFactor?.() ?? 1;
+            const padding = Math.max(0, options.padding ?? 0);
+            const bounds = element.getBoundingClientRect();
+            const left = Math.max(0, bounds.left - padding);
+            const top = Math.max(0, bounds.top - padding);
+            const right = Math.min(win.innerWidth, bounds.right + padding);
+            const bottom = Math.min(win.innerHeight, bounds.bottom + padding);
+            if (right <= left || bottom <= top) {
+                throw new Error(`Element is not visible in the window: ${options.selector}`);
+            }
+            rect = {
+                x: Math.floor(left * zoom),
+                y: Math.floor(top * zoom),
+                width: Math.ceil((right - left) * zoom),
+                height: Math.ceil((bottom - top) * zoom)
+            };
+        }
+
+        let image = rect ? await webContents.capturePage(rect) : await webContents.capturePage();
+        const size = image.getSize();
+
+        // Apply the scale first, then shrink further to fit the max dimensions
+        const scale = Math.min(Math.max(options.scale ?? 1, 0.1), 2);
+        const fit = Math.min(
+            1,
+            (options.maxWidth ?? 1600) / (size.width * scale),
+            (options.maxHeight ?? 1600) / (size.height * scale)
+        );
+        const width = Math.max(1, Math.round(size.width * scale * fit));
+        const height = Math.max(1, Math.round(size.height * scale * fit));
+        if (width !== size.width || height !== size.height) {
+            image = image.resize({ width, height, quality: 'good' });
+        }
+
+        const metadata = {
+            selector: options.selector ?? null,
+            window: this.windowIdOf(win.document),
+            rect,
+            width,
+            height,
+            mimeType: 'image/png'
+        };
+        return new ContentResult([
+            { type: 'image', data: image.toPNG().toString('base64'), mimeType: 'image/png' },
+            { type: 'text', text: JSON.stringify(metadata, null, 2) }
+        ], metadata);
+    }
+
+    /**
+     * Resolve an element for input events in a window, scrolling it into view
+     * if needed. The point is the element's centre in window CSS pixels,
+     * including the offsets of any iframes it is in.
+     */
+    private getInputTarget(selector: string, target?: string) {
+        const win = this.getTargetWindow(target);
+        const element = this.findElements(selector, target)[0];
+        if (!element) {
+            throw new Error(`Element not found: ${selector}`);
+        }
+        if (!describeGeometry(element).inViewport) {
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+        }
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+            throw new Error(`Element is not rendered: ${selector}`);
+        }
+        let x = rect.left + rect.width / 2;
+        let y = rect.top + rect.height / 2;
+        for (let view = viewOf(element); view !== win && view.frameElement; view = viewOf(view.frameElement)) {
+            const frameRect = view.frameElement.getBoundingClientRect();
+            x += frameRect.left + view.frameElement.clientLeft;
+            y += frameRect.top + view.frameElement.clientTop;
+        }
+        return { element, win, point: { x: Math.round(x), y: Math.round(y) } };
+    }
+
+    // Electron expects window coordinates in device-independent pixels, so apply the zoom factor
+    private sendInput(event: SyntheticInputEvent, win: Window = window) {
+        const webContents = this.getInputWebContents(win);
+        const zoom = webContents.getZoomFactor?.() ?? 1;
+        // Modifier names were normalized to Electron's by normalizeModifier
+        webContents.sendInputEvent((event.x !== undefined && event.y !== undefined
+            ? { ...event, x: Math.round(event.x * zoom), y: Math.round(event.y * zoom) }
+            : event) as Parameters<WebContents['sendInputEvent']>[0]);
+    }
+
+    private getInputWebContents(win: Window) {
+        const webContents = this.getWebContents(win);
+        if (!webContents) {
+            throw new Error('Input events are only available in the desktop app');
+        }
+        return webContents;
+    }
+
+    private sendClick(
+        point: { x: number; y: number },
+        button: string,
+        clickCount: number,
+        modifiers: string[],
+        win: Window = window
+    ) {
+        this.sendInput({ type: 'mouseMove', ...point, modifiers }, win);
+        for (let count = 1; count <= clickCount; count++) {
+            this.sendInput({ type: 'mouseDown', ...point, button, clickCount: count, modifiers }, win);
+            this.sendInput({ type: 'mouseUp', ...point, button, clickCount: count, modifiers }, win);
+        }
+    }
+
+    private pressChord(chord: KeyChord, win: Window = window) {
+        this.sendInput({ type: 'keyDown', keyCode: chord.keyCode, modifiers: chord.modifiers }, win);
+        if (chord.text !== null) {
+            this.sendInput({ type: 'char', keyCode: chord.text, modifiers: chord.modifiers }, win);
+        }
+        this.sendInput({ type: 'keyUp', keyCode: chord.keyCode, modifiers: chord.modifiers }, win);
+    }
+
+    /**
+     * Dispatch input with console capture on, then report where focus ended up
+     * and the errors logged or thrown while Obsidian handled it.
+     */
+    private async performInput(
+        action: string,
+        target: Element | null,
+        point: { x: number; y: number } | null,
+        dispatch: () => Promise<void>,
+        settleMs = 100,
+        win: Window = window
+    ) {
+        const webContents = this.getInputWebContents(win);
+        const hit = point ? win.document.elementFromPoint(point.x, point.y) : null;
+        webContents.focus();
+        const captured = await this.captureConsoleDuring(dispatch, settleMs);
+        if (captured.error) {
+            throw new Error(captured.error);
+        }
+        return {
+            action,
+            target: target ? describeNode(target) : null,
+            hitTarget: hit ? describeNode(hit) : null,
+            point,
+            focus: describeFocus(win.document),
+            consoleErrors: [...captured.console.filter(entry => entry.type === 'error'), ...captured.uncaughtErrors]
+        };
+    }
+
+    private async click(options: {
+        selector: string;
+        button?: string;
+        clickCount?: number;
+        modifiers?: string[];
+        window?: string;
+        settleMs?: number;
+    }) {
+        const button = options.button ?? 'left';
+        if (!['left', 'right', 'middle'].includes(button)) {
+            throw new Error(`Invalid button: ${button}`);
+        }
+        const clickCount = Math.min(Math.max(options.clickCount ?? 1, 1), 3);
+        const modifiers = (options.modifiers ?? []).map(normalizeModifier);
+        log('Clicking:', options.selector);
+        const { element, win, point } = this.getInputTarget(options.selector, options.window);
+        return this.performInput('click', element, point, async () => {
+            this.sendClick(point, button, clickCount, modifiers, win);
+        }, options.settleMs, win);
+    }
+
+    private async typeText(options: {
+        text: string;
+        selector?: string;
+        clear?: boolean;
+        submit?: boolean;
+        window?: string;
+        settleMs?: number;
+    }) {
+        if (typeof options.text !== 'string') {
+            throw new Error('text must be a string');
+        }
+        log('Typing text:', options.text.length, 'chars');
+        const target = options.selector ? this.getInputTarget(options.selector, options.window) : null;
+        const win = target?.win ?? this.getTargetWindow(options.window);
+        return this.performInput('type_text', target?.element ?? null, target?.point ?? null, async () => {
+            if (target) {
+                this.sendClick(target.point, 'left', 1, [], win);
+                await sleep(50);
+            }
+            if (options.clear) {
+                this.pressChord(parseKeyChord('Mod+A'), win);
+                this.pressChord(parseKeyChord('Backspace'), win);
+            }
+            // insertText goes through the same path as IME input, which inputs and CodeMirror both handle
+            await this.getInputWebContents(win).insertText(options.text);
+            if (options.submit) {
+                this.pressChord(parseKeyChord('Enter'), win);
+            }
+        }, options.settleMs, win);
+    }
+
+    private async pressKeys(options: { keys: string[] | string; selector?: string; window?: string; settleMs?: number }) {
+        const keys = Array.isArray(options.keys) ? options.keys : [options.keys];
+        // Parse everything first so a typo doesn't leave half a sequence sent
+        const chords = keys.map(parseKeyChord);
+        log('Pressing keys:', keys.join(', '));
+        const win = this.getTargetWindow(options.window);
+        let element: Element | null = null;
+        if (options.selector) {
+            element = this.findElements(options.selector, options.window)[0] ?? null;
+            if (!element) {
+                throw new Error(`Element not found: ${options.selector}`);
+            }
+        }
+        return this.performInput('press_keys', element, null, async () => {
+            (element as HTMLElement | null)?.focus?.();
+            for (const chord of chords) {
+                this.pressChord(chord, win);
+                await sleep(20);
+            }
+        }, options.settleMs, win);
+    }
+
+    private async hover(options: { selector: string; window?: string; settleMs?: number }) {
+        log('Hovering:', options.selector);
+        const { element, win, point } = this.getInputTarget(options.selector, options.window);
+        return this.performInput('hover', element, point, async () => {
+            this.sendInput({ type: 'mouseMove', ...point }, win);
+        }, options.settleMs, win);
+    }
+
+    private async scroll(options: {
+        selector?: string;
+        deltaX?: number;
+        deltaY?: number;
+        window?: string;
+        settleMs?: number;
+    }) {
+        log('Scrolling:', options.selector ?? 'window');
+        const target = options.selector ? this.getInputTarget(options.selector, options.window) : null;
+        const win = target?.win ?? this.getTargetWindow(options.window);
+        const point = target?.point ?? { x: Math.round(win.innerWidth / 2), y: Math.round(win.innerHeight / 2) };
+        const container = scrollContainer(target?.element ?? win.document.elementFromPoint(point.x, point.y));
+        const position = () => container ? { top: container.scrollTop, left: container.scrollLeft } : null;
+        const before = position();
+
+        const result = await this.performInput('scroll', target?.element ?? null, point, async () => {
+            // Electron wheel deltas point the other way from WheelEvent, where positive deltaY scrolls down
+            this.sendInput({
+                type: 'mouseWheel',
+                ...point,
+                deltaX: -(options.deltaX ?? 0),
+                deltaY: -(options.deltaY ?? 0),
+                hasPreciseScrollingDeltas: true,
+                canScroll: true
+            }, win);
+        }, options.settleMs, win);
+        return {
+            ...result,
+            scrollContainer: container ? { element: describeNode(container), before, after: position() } : null
+        };
+    }
+
+    private async drag(options: {
+        selector: string;
+        toSelector?: string;
+        deltaX?: number;
+        deltaY?: number;
+        steps?: number;
+        modifiers?: string[];
+        window?: string;
+        settleMs?: number;
+    }) {
+        if (!options.toSelector && options.deltaX === undefined && options.deltaY === undefined) {
+            throw new Error('Pass toSelector, or deltaX and/or deltaY');
+        }
+        const modifiers = (options.modifiers ?? []).map(normalizeModifier);
+        const steps = Math.min(Math.max(options.steps ?? 10, 1), 100);
+        log('Dragging:', options.selector, 'to', options.toSelector ?? `${options.deltaX ?? 0},${options.deltaY ?? 0}`);
+        // Scroll the source into view before measuring the drop target
+        let { element, win, point } = this.getInputTarget(options.selector, options.window);
+        let dropPoint: { x: number; y: number } | null = null;
+        if (options.toSelector) {
+            dropPoint = this.getInputTarget(options.toSelector, options.window).point;
+            // Scrolling the drop target into view may have moved the source
+            if (!describeGeometry(element).inViewport) {
+                throw new Error(`${options.selector} and ${options.toSelector} cannot be scrolled into view together`);
+            }
+            ({ element, win, point } = this.getInputTarget(options.selector, options.window));
+        }
+        const end = dropPoint ?? { x: point.x + (options.deltaX ?? 0), y: point.y + (options.deltaY ?? 0) };
+        const dropTarget = win.document.elementFromPoint(end.x, end.y);
+
+        const result = await this.performInput('drag', element, point, async () => {
+            const held = [...modifiers, 'leftButtonDown'];
+            this.sendInput({ type: 'mouseMove', ...point, modifiers }, win);
+            this.sendInput({ type: 'mouseDown', ...point, button: 'left', clickCount: 1, modifiers }, win);
+            for (let step = 1; step <= steps; step++) {
+                await sleep(16);
+                this.sendInput({
+                    type: 'mouseMove',
+                    x: point.x + (end.x - point.x) * step / steps,
+                    y: point.y + (end.y - point.y) * step / steps,
+                    modifiers: held
+                }, win);
+            }
+            this.sendInput({ type: 'mouseUp', ...end, button: 'left', clickCount: 1, modifiers }, win);
+        }, options.settleMs, win);
+        return { ...result, dropPoint: end, dropTarget: dropTarget ? describeNode(dropTarget) : null };
+    }
+
+    /**
+     * Poll a condition until it holds or the timeout passes. Event conditions
+     * subscribe instead of polling and are removed again before returning.
+     */
+    private async waitFor(options: {
+        selector?: string;
+        state?: string;
+        window?: string;
+        text?: string;
+        consolePattern?: string;
+        consoleLevels?: string[];
+        event?: string;
+        timeoutMs?: number;
+        pollMs?: number;
+    }) {
+        const started = Date.now();
+        const startSeq = this.consoleSequence;
+        const timeoutMs = Math.min(Math.max(options.timeoutMs ?? 10000, 0), MAX_WAIT_MS);
+        const pollMs = Math.max(options.pollMs ?? 100, 10);
+        const kinds = [
+            options.text !== undefined && 'text',
+            options.consolePattern !== undefined && 'console',
+            options.event !== undefined && 'event',
+            options.selector !== undefined && options.text === undefined && 'selector'
+        ].filter((kind): kind is string => !!kind);
+        if (kinds.length !== 1) {
+            throw new Error('Pass exactly one condition: selector, text, consolePattern or event');
+        }
+        const condition = kinds[0];
+
+        let description: string;
+        let check: () => Record<string, unknown> | null;
+        let cleanup = () => { /* nothing to remove */ };
+        if (condition === 'selector') {
+            const selector = options.selector as string;
+            const state = options.state ?? 'present';
+            if (!['present', 'absent', 'visible', 'hidden'].includes(state)) {
+                throw new Error(`Invalid state: ${state}`);
+            }
+            description = `${selector} to be ${state}`;
+            check = () => {
+                const matches = this.findElements(selector, options.window);
+                const visible = matches.find(element => describeGeometry(element).visible) ?? null;
+                const done = state === 'present' ? matches.length > 0
+                    : state === 'absent' ? matches.length === 0
+                    : state === 'visible' ? visible !== null
+                    : visible === null;
+                const element = state === 'visible' ? visible : matches[0] ?? null;
+                return done ? { count: matches.length, element: element ? describeNode(element) : null } : null;
+            };
+        } else if (condition === 'text') {
+            const matches = textMatcher(options.text as string);
+            description = `text ${options.text}${options.selector ? ` in ${options.selector}` : ''}`;
+            check = () => {
+                const candidates = options.selector
+                    ? this.findElements(options.selector, options.window)
+                    : this.getTargetDocuments(options.window).map(doc => doc.body);
+                for (const element of candidates) {
+                    const text = normalizeText(element.textContent);
+                    if (matches(text)) {
+                        return { element: describeNode(element), text: truncateText(text, 200) };
+                    }
+                }
+                return null;
+            };
+        } else if (condition === 'console') {
+            let pattern: RegExp;
+            try {
+                pattern = new RegExp(options.consolePattern as string);
+            } catch (error) {
+                throw new Error(`Invalid consolePattern: ${(error as Error).message}`);
+            }
+            const levels = options.consoleLevels?.length ? new Set(options.consoleLevels) : null;
+            description = `console message matching /${options.consolePattern}/`;
+            check = () => {
+                const entry = this.consoleMessages.find(candidate => candidate.seq > startSeq
+                    && !this.isOwnLog(candidate)
+                    && (!levels || levels.has(candidate.type))
+                    && pattern.test(candidate.message));
+                return entry ? { entry } : null;
+            };
+        } else {
+            const [source, name] = (options.event as string).includes(':')
+                ? (options.event as string).split(':', 2)
+                : ['workspace', options.event as string];
+            const emitters: Record<string, Events | undefined> = {
+                workspace: this.app.workspace,
+                vault: this.app.vault,
+                metadataCache: this.app.metadataCache
+            };
+            const emitter = emitters[source];
+            if (!emitter || !name) {
+                throw new Error(`Invalid event: ${options.event}. Use a workspace event name or a vault: or metadataCache: prefix`);
+            }
+            description = `${source} event ${name}`;
+            let fired: Record<string, unknown> | null = null;
+            const ref = emitter.on(name, (...args: unknown[]) => {
+                fired ??= {
+                    event: options.event,
+                    // Files are reported by path rather than as deep object graphs
+                    args: args.map(arg => arg instanceof TAbstractFile ? arg.path : serializeValue(arg, CONSOLE_SERIALIZE_OPTIONS))
+                };
+            });
+            cleanup = () => emitter.offref(ref);
+            check = () => fired;
+        }
+
+        log('Waiting for', description);
+        try {
+            for (;;) {
+                const details = check();
+                if (details) {
+                    return { condition, description, elapsedMs: Date.now() - started, ...details };
+                }
+                const remaining = started + timeoutMs - Date.now();
+                if (remaining <= 0) {
+                    throw new Error(`Timed out after ${timeoutMs} ms waiting for ${description}`);
+                }
+                await sleep(Math.min(pollMs, remaining));
+            }
+        } finally {
+            cleanup();
+        }
+    }
+
+    /**
+     * Record which plugin registered each editor extension, so extensions
+     * found in an editor's configuration can be attributed to it. Only
+     * plugins loaded after this one are seen.
+     */
+    private setupEditorExtensionTracking() {
+        const prototype = Plugin.prototype;
+        const original = prototype.registerEditorExtension;
+        const owners = this.editorExtensionOwners;
+        const tracked = function (this: Plugin, extension: Extension) {
+            if (extension && typeof extension === 'object') {
+                owners.set(extension, this.manifest.id);
+            }
+            return original.call(this, extension);
+        };
+        prototype.registerEditorExtension = tracked;
+        this.register(() => {
+            // Leave the prototype alone if something else wrapped it after us
+            if (prototype.registerEditorExtension === tracked) {
+                prototype.registerEditorExtension = original;
+            }
+        });
+    }
+
+    private getEditorView(leafId?: string) {
+        const leaf = leafId ? this.getLeaf(leafId) : this.app.workspace.getActiveViewOfType(MarkdownView)?.leaf;
+        if (!leaf) {
+            throw new Error('No active Markdown view. Pass leafId, or open a note');
+        }
+        const markdownView = leaf.view;
+        if (!(markdownView instanceof MarkdownView)) {
+            throw new Error(`Leaf ${leafId} is not a Markdown view`);
+        }
+        if (markdownView.getMode() === 'preview') {
+            throw new Error('The Markdown view is in reading mode and has no editor');
+        }
+        // @ts-ignore - Internal API
+        const view = markdownView.editor.cm as EditorView | undefined;
+        if (!view) {
+            throw new Error('The Markdown view has no CodeMirror editor');
+        }
+        return { view, markdownView, leaf };
+    }
+
+    private describeEditorState(
+        { view, markdownView, leaf }: ReturnType<ObsidianDevToolsPlugin['getEditorView']>,
+        includeDocument: boolean,
+        maxDocLength: number
+    ) {
+        const { state } = view;
+        const { doc, selection } = state;
+        const head = selection.main.head;
+        const describeRange = (from: number, to: number) => ({
+            from,
+            to,
+            fromPosition: offsetToPosition(doc, from),
+            toPosition: offsetToPosition(doc, to)
+        });
+        return {
+            file: markdownView.file?.path ?? null,
+            // @ts-ignore - Leaf ids are internal but stable for the session
+            leafId: leaf.id as string,
+            hasFocus: view.hasFocus,
+            length: doc.length,
+            lines: doc.lines,
+            ...(includeDocument ? { text: truncateText(doc.toString(), maxDocLength) } : {}),
+            selections: selection.ranges.map(range => ({
+                anchor: range.anchor,
+                head: range.head,
+                from: range.from,
+                to: range.to,
+                empty: range.empty,
+                anchorPosition: offsetToPosition(doc, range.anchor),
+                headPosition: offsetToPosition(doc, range.head)
+            })),
+            mainSelection: selection.mainIndex,
+            cursor: { offset: head, ...offsetToPosition(doc, head) },
+            viewport: describeRange(view.viewport.from, view.viewport.to),
+            visibleRanges: view.visibleRanges.map(range => describeRange(range.from, range.to)),
+            syntaxNodes: syntaxNodesAt(state, head)
+        };
+    }
+
+    private async getEditorState(options: { leafId?: string; includeDocument?: boolean; maxDocLength?: number }) {
+        log('Getting editor state:', options.leafId ?? 'active');
+        return this.describeEditorState(
+            this.getEditorView(options.leafId),
+            options.includeDocument ?? true,
+            options.maxDocLength ?? 20000
+        );
+    }
+
+    private async getEditorExtensions(options: { leafId?: string; includeValues?: boolean }) {
+        log('Getting editor extensions:', options.leafId ?? 'active');
+        const { view, markdownView } = this.getEditorView(options.leafId);
+        const { fields, plugins } = collectEditorExtensions(view.state, this.editorExtensionOwners);
+        // @ts-ignore - Internal API
+        const instances: ViewPluginInstance[] = view.plugins ?? [];
+
+        const stateFields = [...fields].map(([field, owner]) => ({
+            // @ts-ignore - Internal API
+            id: field.id as number,
+            owner,
+            ...(options.includeValues ? { value: serializeValue(view.state.field(field, false), CONSOLE_SERIALIZE_OPTIONS) } : {})
+        }));
+        const viewPlugins = [...plugins].map(([plugin, owner]) => {
+            const instance = instances.find(candidate => candidate.spec === plugin || candidate.spec?.plugin === plugin);
+            return {
+                name: instance?.value?.constructor?.name ?? null,
+                active: !!instance?.value,
+                owner
+            };
+        });
+        return { file: markdownView.file?.path ?? null, stateFields, viewPlugins };
+    }
+
+    private async getEditorDecorations(options: {
+        leafId?: string;
+        from?: EditorPosition;
+        to?: EditorPosition;
+        limit?: number;
+    }) {
+        log('Getting editor decorations:', options.leafId ?? 'active');
+        const { view, markdownView } = this.getEditorView(options.leafId);
+        const { state } = view;
+        const from = options.from !== undefined ? resolveOffset(state.doc, options.from, 'from') : view.viewport.from;
+        const to = options.to !== undefined ? resolveOffset(state.doc, options.to, 'to') : view.viewport.to;
+        if (to < from) {
+            throw new Error('"to" must not come before "from"');
+        }
+        const limit = Math.max(options.limit ?? 200, 1);
+        const { fields, plugins } = collectEditorExtensions(state, this.editorExtensionOwners);
+
+        // The same set can be reachable from several places; list it once
+        const sources = new Map<DecorationSet, { source: string; owner: string | null }>();
+        // @ts-ignore - Internal API
+        for (const instance of (view.plugins ?? []) as ViewPluginInstance[]) {
+            const decorations = instance.value?.decorations;
+            if (isRangeSet(decorations) && !sources.has(decorations)) {
+                sources.set(decorations, {
+                    source: `view plugin ${instance.value?.constructor?.name ?? 'anonymous'}`,
+                    owner: plugins.get(instance.spec.plugin ?? instance.spec) ?? null
+                });
+            }
+        }
+        fields.forEach((owner, field) => {
+            const value = state.field(field, false);
+            if (isRangeSet(value) && !sources.has(value)) {
+                // @ts-ignore - Internal API
+                sources.set(value, { source: `state field ${field.id}`, owner });
+            }
+        });
+        state.facet(EditorView.decorations).forEach((provider, index) => {
+            const value = typeof provider === 'function' ? provider(view) : provider;
+            if (isRangeSet(value) && !sources.has(value)) {
+                sources.set(value, { source: `decorations facet #${index}`, owner: null });
+            }
+        });
+
+        const decorations: (ReturnType<typeof describeDecoration> & { source: string; owner: string | null })[] = [];
+        let count = 0;
+        sources.forEach((source, set) => {
+            set.between(from, to, (start, end, decoration) => {
+                count++;
+                if (decorations.length < limit) {
+                    decorations.push({ ...describeDecoration(start, end, decoration), ...source });
+                }
+            });
+        });
+        decorations.sort((a, b) => a.from - b.from || a.to - b.to);
+        return {
+            file: markdownView.file?.path ?? null,
+            from,
+            to,
+            count,
+            truncated: count > decorations.length,
+            decorations
+        };
+    }
+
+    private async editorDispatch(options: {
+        leafId?: string;
+        changes?: { from: EditorPosition; to?: EditorPosition; insert?: string }[];
+        selection?: { anchor: EditorPosition; head?: EditorPosition };
+        scrollIntoView?: boolean;
+        userEvent?: string;
+        settleMs?: number;
+    }) {
+        if (!options.changes?.length && !options.selection) {
+            throw new Error('Pass changes and/or selection');
+        }
+        const editor = this.getEditorView(options.leafId);
+        const { view, markdownView } = editor;
+        const { doc } = view.state;
+        log('Dispatching editor transaction:', markdownView.file?.path ?? options.leafId);
+
+        const changes = (options.changes ?? []).map((change, index) => {
+            const from = resolveOffset(doc, change.from, `changes[${index}].from`);
+            const to = change.to !== undefined ? resolveOffset(doc, change.to, `changes[${index}].to`) : from;
+            if (to < from) {
+                throw new Error(`changes[${index}].to must not come before from`);
+            }
+            return { from, to, insert: change.insert ?? '' };
+        });
+        if (changes.length) {
+            if (!markdownView.file) {
+                throw new Error('The editor has no file, so it cannot be checked against the writable folders');
+            }
+            this.assertWritable(markdownView.file.path);
+        }
+        const changeSet = view.state.changes(changes);
+        let selection: EditorSelection | undefined;
+        if (options.selection) {
+            // The selection refers to the document as it will be after the changes
+            const next = changeSet.apply(doc);
+            const anchor = resolveOffset(next, options.selection.anchor, 'selection.anchor');
+            const head = options.selection.head !== undefined
+                ? resolveOffset(next, options.selection.head, 'selection.head')
+                : anchor;
+            selection = EditorSelection.single(anchor, head);
+        }
+
+        const captured = await this.captureConsoleDuring(() => view.dispatch({
+            changes: changeSet,
+            selection,
+            scrollIntoView: options.scrollIntoView ?? true,
+            userEvent: options.userEvent
+        }), options.settleMs);
+        if (captured.error) {
+            throw new Error(captured.error);
+        }
+        return {
+            ...this.describeEditorState(editor, false, 0),
+            changed: !changeSet.empty,
+            consoleErrors: [...captured.console.filter(entry => entry.type === 'error'), ...captured.uncaughtErrors]
+        };
+    }
+
+    private describeFile(file: TAbstractFile) {
+        if (file instanceof TFile) {
+            return {
+                path: file.path,
+                name: file.name,
+                type: 'file',
+                extension: file.extension,
+                size: file.stat.size,
+                ctime: file.stat.ctime,
+                mtime: file.stat.mtime
+            };
+        }
+        return { path: file.path, name: file.name, type: 'folder' };
+    }
+
+    private getVaultFile(path: string): TFile {
+        const file = this.app.vault.getAbstractFileByPath(normalizePath(path ?? ''));
+        if (!(file instanceof TFile)) {
+            throw new Error(file ? `Not a file: ${path}` : `File not found: ${path}`);
+        }
+        return file;
+    }
+
+    // Writes are only allowed inside the folders listed in the settings
+    private assertWritable(path: string) {
+        const normalized = normalizePath(path);
+        if (hasDotSegments(normalized)) {
+            throw new Error(`Writing to ${normalized} is not allowed. Paths may not contain "." or ".." segments.`);
+        }
+        if (!isInsideFolders(normalized, this.settings.writableFolders.map(folder => normalizePath(folder)))) {
+            throw new Error(`Writing to ${normalized} is not allowed. ` +
+                'Add its folder to "Writable folders" in the DevTools MCP settings.');
+        }
+    }
+
+    private async listFolder(path = '/', recursive = false) {
+        log('Listing folder:', path);
+        const folder = path && path !== '/'
+            ? this.app.vault.getAbstractFileByPath(normalizePath(path))
+            : this.app.vault.getRoot();
+        if (!(folder instanceof TFolder)) {
+            throw new Error(folder ? `Not a folder: ${path}` : `Folder not found: ${path}`);
+        }
+
+        const entries: ReturnType<ObsidianDevToolsPlugin['describeFile']>[] = [];
+        const visit = (current: TFolder) => {
+            for (const child of current.children) {
+                entries.push(this.describeFile(child));
+                if (recursive && child instanceof TFolder) {
+                    visit(child);
+                }
+            }
+        };
+        visit(folder);
+        return { path: folder.path, entries };
+    }
+
+    private async readFile(path: string) {
+        log('Reading file:', path);
+        const file = this.getVaultFile(path);
+        const content = await this.app.vault.read(file);
+        return { path: file.path, content, size: file.stat.size, mtime: file.stat.mtime };
+    }
+
+    private async writeFile(path: string, content: string, expectedMtime?: number, createOnly = false) {
+        log('Writing file:', path);
+        if (typeof content !== 'string') {
+            throw new Error('content must be a string');
+        }
+        const normalized = normalizePath(path ?? '');
+        this.assertWritable(normalized);
+
+        const existing = this.app.vault.getAbstractFileByPath(normalized);
+        if (existing && !(existing instanceof TFile)) {
+            throw new Error(`Not a file: ${normalized}`);
+        }
+
+        if (existing instanceof TFile) {
+            if (createOnly) {
+                throw new Error(`File already exists: ${normalized}`);
+            }
+            if (typeof expectedMtime === 'number' && existing.stat.mtime !== expectedMtime) {
+                throw new Error(`File ${normalized} was modified at ${existing.stat.mtime}, ` +
+                    `expected ${expectedMtime}. Read it again before writing.`);
+            }
+            await this.app.vault.modify(existing, content);
+            return { path: existing.path, created: false, size: existing.stat.size, mtime: existing.stat.mtime };
+        }
+
+        if (typeof expectedMtime === 'number') {
+            throw new Error(`File ${normalized} no longer exists`);
+        }
+        const parent = normalized.includes('/') ? normalized.slice(0, normalized.lastIndexOf('/')) : '';
+        if (parent && !this.app.vault.getAbstractFileByPath(parent)) {
+            await this.app.vault.createFolder(parent);
+        }
+        const file = await this.app.vault.create(normalized, content);
+        return { path: file.path, created: true, size: file.stat.size, mtime: file.stat.mtime };
+    }
+
+    private async renameFile(path: string, newPath: string) {
+        log('Renaming file:', path, '->', newPath);
+        const file = this.app.vault.getAbstractFileByPath(normalizePath(path ?? ''));
+        if (!file) {
+            throw new Error(`File not found: ${path}`);
+        }
+        const target = normalizePath(newPath ?? '');
+        this.assertWritable(file.path);
+        this.assertWritable(target);
+        if (this.app.vault.getAbstractFileByPath(target)) {
+            throw new Error(`Destination already exists: ${target}`);
+        }
+
+        const oldPath = file.path;
+        // FileManager also rewrites links pointing at the renamed file
+        await this.app.fileManager.renameFile(file, target);
+        return { oldPath, path: file.path };
+    }
+
+    private async deleteFile(path: string) {
+        log('Deleting file:', path);
+        const file = this.app.vault.getAbstractFileByPath(normalizePath(path ?? ''));
+        if (!file) {
+            throw new Error(`File not found: ${path}`);
+        }
+        if (file instanceof TFolder && file.isRoot()) {
+            throw new Error('Cannot delete the vault root');
+        }
+        this.assertWritable(file.path);
+        await this.app.fileManager.trashFile(file);
+        return { path: file.path, trashed: true };
+    }
+
+    private resolveLinkPath(link: string, sourcePath: string) {
+        return this.app.metadataCache.getFirstLinkpathDest(getLinkpath(link), sourcePath)?.path ?? null;
+    }
+
+    private getCachedMetadata(file: TFile): CachedMetadata {
+        const cache = this.app.metadataCache.getFileCache(file);
+        if (!cache) {
+            throw new Error(`No cached metadata for ${file.path}. Only notes are indexed, ` +
+                'and a new note may not be indexed yet (see wait_for_metadata)');
+        }
+        return cache;
+    }
+
+    private async getFileMetadata(path: string) {
+        log('Getting file metadata:', path);
+        const file = this.getVaultFile(path);
+        const cache = this.getCachedMetadata(file);
+        const describeReference = (reference: ReferenceCache) => ({
+            link: reference.link,
+            original: reference.original,
+            displayText: reference.displayText ?? null,
+            resolved: this.resolveLinkPath(reference.link, file.path),
+            ...describePosition(reference.position)
+        });
+        return {
+            path: file.path,
+            frontmatter: cache.frontmatter ?? null,
+            // Frontmatter and inline tags together, as Obsidian's tag search sees them
+            tags: [...new Set(getAllTags(cache) ?? [])],
+            inlineTags: (cache.tags ?? []).map(tag => ({ tag: tag.tag, ...describePosition(tag.position) })),
+            headings: (cache.headings ?? []).map(heading => ({
+                heading: heading.heading,
+                level: heading.level,
+                ...describePosition(heading.position)
+            })),
+            links: (cache.links ?? []).map(describeReference),
+            embeds: (cache.embeds ?? []).map(describeReference),
+            frontmatterLinks: (cache.frontmatterLinks ?? []).map(link => ({
+                key: link.key,
+                link: link.link,
+                original: link.original,
+                displayText: link.displayText ?? null,
+                resolved: this.resolveLinkPath(link.link, file.path)
+            })),
+            blocks: Object.values(cache.blocks ?? {}).map(block => ({ id: block.id, ...describePosition(block.position) }))
+        };
+    }
+
+    // Where a note links to a target, by line for body links and by key for frontmatter links
+    private linkLocations(sourcePath: string, targetPath: string) {
+        const cache = this.app.metadataCache.getCache(sourcePath);
+        if (!cache) {
+            return [];
+        }
+        const references = [...(cache.links ?? []), ...(cache.embeds ?? [])]
+            .filter(reference => this.resolveLinkPath(reference.link, sourcePath) === targetPath)
+            .map(reference => ({ original: reference.original, line: reference.position.start.line }));
+        const frontmatter = (cache.frontmatterLinks ?? [])
+            .filter(reference => this.resolveLinkPath(reference.link, sourcePath) === targetPath)
+            .map(reference => ({ original: reference.original, key: reference.key }));
+        return [...frontmatter, ...references];
+    }
+
+    private async getNoteLinks(path: string, includeLocations = false) {
+        log('Getting note links:', path);
+        const file = this.getVaultFile(path);
+        const { resolvedLinks, unresolvedLinks } = this.app.metadataCache;
+        const backlinks = Object.entries(resolvedLinks)
+            .filter(([, targets]) => targets[file.path])
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([source, targets]) => ({
+                path: source,
+                count: targets[file.path],
+                ...(includeLocations ? { locations: this.linkLocations(source, file.path) } : {})
+            }));
+        return {
+            path: file.path,
+            outgoing: Object.entries(resolvedLinks[file.path] ?? {}).map(([target, count]) => ({ path: target, count })),
+            unresolved: Object.entries(unresolvedLinks[file.path] ?? {}).map(([link, count]) => ({ link, count })),
+            backlinks
+        };
+    }
+
+    private async listTags(options: { prefix?: string; sort?: string; limit?: number }) {
+        log('Listing tags:', options.prefix ?? 'all');
+        let prefix = options.prefix?.toLowerCase() ?? '';
+        if (prefix && !prefix.startsWith('#')) {
+            prefix = `#${prefix}`;
+        }
+        // Keyed by lower case; the first spelling seen is the one reported
+        const tags = new Map<string, { tag: string; count: number; files: number }>();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const cache = this.app.metadataCache.getFileCache(file);
+            const seen = new Set<string>();
+            for (const tag of (cache ? getAllTags(cache) : null) ?? []) {
+                const key = tag.toLowerCase();
+                if (!key.startsWith(prefix)) {
+                    continue;
+                }
+                const entry = tags.get(key) ?? { tag, count: 0, files: 0 };
+                entry.count++;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    entry.files++;
+                }
+                tags.set(key, entry);
+            }
+        }
+        const sorted = [...tags.values()].sort((a, b) =>
+            (options.sort === 'name' ? 0 : b.count - a.count) || a.tag.localeCompare(b.tag));
+        const limited = sorted.slice(0, Math.max(options.limit ?? 500, 0));
+        return { total: sorted.length, returned: limited.length, tags: limited };
+    }
+
+    private async findNotesByFrontmatter(options: {
+        key: string;
+        value?: string | number | boolean;
+        match?: string;
+        folder?: string;
+        limit?: number;
+    }) {
+        const match = options.match ?? (options.value === undefined ? 'exists' : 'equals');
+        if (!['equals', 'contains', 'exists'].includes(match)) {
+            throw new Error(`Invalid match: ${match}. Use equals, contains or exists`);
+        }
+        if (match !== 'exists' && options.value === undefined) {
+            throw new Error(`match "${match}" needs a value`);
+        }
+        log('Finding notes by frontmatter:', options.key, match, options.value);
+        const folder = options.folder ? normalizePath(options.folder) : null;
+        const limit = Math.max(options.limit ?? 100, 0);
+
+        const notes: { path: string; value: unknown }[] = [];
+        let count = 0;
+        const files = this.app.vault.getMarkdownFiles()
+            .filter(file => !folder || folder === '/' || file.path.startsWith(`${folder}/`))
+            .sort((a, b) => a.path.localeCompare(b.path));
+        for (const file of files) {
+            const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+            if (!frontmatter || !Object.prototype.hasOwnProperty.call(frontmatter, options.key)) {
+                continue;
+            }
+            const value = frontmatter[options.key];
+            if (match !== 'exists' && !frontmatterMatches(value, options.value, match)) {
+                continue;
+            }
+            count++;
+            if (notes.length < limit) {
+                notes.push({ path: file.path, value });
+            }
+        }
+        return { key: options.key, match, count, truncated: count > notes.length, notes };
+    }
+
+    /**
+     * Poll until the cache entry for a note matches the file on disk and the
+     * cache has nothing queued. Writing a note only queues indexing, so right
+     * after a write the cache can look idle while still holding the old entry.
+     */
+    private async waitForMetadata(options: { path?: string; timeoutMs?: number }) {
+        const started = Date.now();
+        const timeoutMs = Math.min(Math.max(options.timeoutMs ?? 10000, 0), MAX_WAIT_MS);
+        const file = options.path ? this.getVaultFile(options.path) : null;
+        log('Waiting for metadata:', file?.path ?? 'all');
+        const internals = this.app.metadataCache as unknown as {
+            fileCache?: Record<string, { mtime: number; size: number } | undefined>;
+            inProgressTaskCount?: number;
+        };
+        const indexed = () => {
+            if (!file || file.extension !== 'md') {
+                return true;
+            }
+            const entry = internals.fileCache?.[file.path];
+            return !!entry && entry.mtime === file.stat.mtime && entry.size === file.stat.size &&
+                !!this.app.metadataCache.getFileCache(file);
+        };
+        const idle = () => !internals.inProgressTaskCount;
+
+        for (;;) {
+            if (indexed() && idle()) {
+                return { path: file?.path ?? null, elapsedMs: Date.now() - started };
+            }
+            const remaining = started + timeoutMs - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`Timed out after ${timeoutMs} ms waiting for the metadata cache` +
+                    (file ? ` to index ${file.path}` : ''));
+            }
+            await sleep(Math.min(50, remaining));
+        }
+    }
+
+    private describeLeaf(leaf: WorkspaceLeaf) {
+        const view = leaf.view;
+        let mode: string | null = null;
+        if (view instanceof MarkdownView) {
+            // getMode() only distinguishes editing from reading; the view
+            // state tells live preview apart from source mode
+            mode = view.getMode() === 'preview'
+                ? 'reading'
+                : view.getState().source ? 'source' : 'live-preview';
+        }
+        return {
+            // @ts-ignore - Leaf ids are internal but stable for the session
+            id: leaf.id as string,
+            viewType: leaf.getViewState().type,
+            title: leaf.getDisplayText(),
+            // Only file views have a file
+            file: (view as { file?: TFile | null } | null)?.file?.path ?? null,
+            mode,
+            active: leaf === this.app.workspace.activeLeaf,
+            // @ts-ignore - Internal API
+            pinned: !!leaf.pinned,
+            deferred: leaf.isDeferred
+        };
+    }
+
+    // Recursively describe a workspace item; the children of splits, tab
+    // groups and windows are internal, so they are read defensively
+    private describeLayoutItem(item: WorkspaceItem): Record<string, unknown> {
+        if (item instanceof WorkspaceLeaf) {
+            return { type: 'leaf', ...this.describeLeaf(item) };
+        }
+
+        const children = (item as { children?: WorkspaceItem[] }).children ?? [];
+        const node: Record<string, unknown> = {
+            // @ts-ignore - Internal API
+            id: item.id ?? null,
+            type: item instanceof WorkspaceTabs ? 'tabs'
+                : item instanceof WorkspaceWindow ? 'window'
+                : item instanceof WorkspaceSplit ? 'split'
+                : 'container'
+        };
+        if (item instanceof WorkspaceSplit) {
+            node.direction = (item as { direction?: string }).direction ?? null;
+        }
+        if (item instanceof WorkspaceSidedock) {
+            node.collapsed = item.collapsed;
+        }
+        if (item instanceof WorkspaceTabs) {
+            node.currentTab = (item as { currentTab?: number }).currentTab ?? 0;
+        }
+        node.children = children.map(child => this.describeLayoutItem(child));
+        return node;
+    }
+
+    // Popouts get their own console capture and the stylesheets added with inject_css
+    private setupPopoutTracking() {
+        const setup = (popout: WorkspaceWindow) => {
+            // @ts-ignore - Internal API
+            this.setupConsoleCapture(popout.win, popout.id as string);
+            this.injectedStyles.forEach((css, name) => this.applyInjectedStyle(popout.doc, name, css));
+        };
+        this.getPopoutWindows().forEach(setup);
+        this.registerEvent(this.app.workspace.on('window-open', setup));
+        this.registerEvent(this.app.workspace.on('window-close', (popout, win) => {
+            this.originalConsoles.delete(win);
+        }));
+    }
+
+    // Popout windows live under the internal floatingSplit container
+    private getPopoutWindows(): WorkspaceWindow[] {
+        // @ts-ignore - Internal API
+        const floating = this.app.workspace.floatingSplit;
+        return ((floating?.children ?? []) as WorkspaceItem[])
+            .filter((item): item is WorkspaceWindow => item instanceof WorkspaceWindow);
+    }
+
+    /**
+     * Documents searched by the element tools: "main" (the default), "all", a
+     * popout window id from get_workspace_layout, or the id of a leaf to use
+     * the window that shows it.
+     */
+    private getTargetDocuments(target = 'main'): Document[] {
+        if (target === 'main') {
+            return [document];
+        }
+        const popouts = this.getPopoutWindows();
+        if (target === 'all') {
+            return [document, ...popouts.map(popout => popout.doc)];
+        }
+        // @ts-ignore - Internal API
+        const popout = popouts.find(item => item.id === target);
+        if (popout) {
+            return [popout.doc];
+        }
+        const leaf = this.app.workspace.getLeafById(target);
+        if (leaf) {
+            return [leaf.view.containerEl.ownerDocument];
+        }
+        throw new Error(`Window not found: ${target}`);
+    }
+
+    private windowIdOf(doc: Document): string {
+        // @ts-ignore - Internal API
+        return this.getPopoutWindows().find(popout => popout.doc === doc)?.id ?? 'main';
+    }
+
+    // A single window for tools that act on one: "main", a popout id or a leaf id
+    private getTargetWindow(target = 'main'): Window {
+        if (target === 'all') {
+            throw new Error('This tool works on one window; pass "main", a popout window id or a leaf id');
+        }
+        return this.getTargetDocuments(target)[0].defaultView as Window;
+    }
+
+    private async listWindows() {
+        log('Listing windows');
+        const leaves = new Map<Document, string[]>();
+        this.app.workspace.iterateAllLeaves(leaf => {
+            const doc = leaf.view.containerEl.ownerDocument;
+            // @ts-ignore - Leaf ids are internal but stable for the session
+            leaves.set(doc, [...(leaves.get(doc) ?? []), leaf.id as string]);
+        });
+        const describe = (id: string, win: Window) => ({
+            id,
+            title: win.document.title,
+            focused: win.document.hasFocus(),
+            bounds: { x: win.screenX, y: win.screenY, width: win.outerWidth, height: win.outerHeight },
+            leaves: leaves.get(win.document) ?? []
+        });
+        return {
+            windows: [
+                describe('main', window),
+                // @ts-ignore - Internal API
+                ...this.getPopoutWindows().map(popout => describe(popout.id as string, popout.win))
+            ]
+        };
+    }
+
+    private findElements(selector: string, target?: string): Element[] {
+        return querySelectorAllDeep(this.getTargetDocuments(target), selector);
+    }
+
+    private getLeaf(leafId: string): WorkspaceLeaf {
+        const leaf = leafId ? this.app.workspace.getLeafById(leafId) : null;
+        if (!leaf) {
+            throw new Error(`Leaf not found: ${leafId}`);
+        }
+        return leaf;
+    }
+
+    private async getWorkspaceLayout() {
+        log('Getting workspace layout');
+        const { workspace } = this.app;
+        const describeSide = (side: WorkspaceItem) => side instanceof WorkspaceSplit ? this.describeLayoutItem(side) : null;
+        return {
+            main: this.describeLayoutItem(workspace.rootSplit),
+            left: describeSide(workspace.leftSplit),
+            right: describeSide(workspace.rightSplit),
+            popouts: this.getPopoutWindows().map(popout => this.describeLayoutItem(popout)),
+            // @ts-ignore - Internal API
+            activeLeafId: workspace.activeLeaf?.id ?? null
+        };
+    }
+
+    private async getActiveFileInfo() {
+        log('Getting active file');
+        const leaf = this.app.workspace.activeLeaf;
+        return {
+            file: this.app.workspace.getActiveFile()?.path ?? null,
+            leaf: leaf ? this.describeLeaf(leaf) : null
+        };
+    }
+
+    private async openFile(path: string, target = 'current', leafId?: string, active = true) {
+        log('Opening file:', path, target, leafId);
+        const file = this.getVaultFile(path);
+        let leaf: WorkspaceLeaf;
+        if (leafId) {
+            leaf = this.getLeaf(leafId);
+        } else if (target === 'current') {
+            leaf = this.app.workspace.getLeaf(false);
+        } else if (target === 'tab' || target === 'split' || target === 'window') {
+            leaf = this.app.workspace.getLeaf(target);
+        } else {
+            throw new Error(`Unknown target: ${target}`);
+        }
+        await leaf.openFile(file, { active });
+        return this.describeLeaf(leaf);
+    }
+
+    private async focusLeaf(leafId: string) {
+        log('Focusing leaf:', leafId);
+        const leaf = this.getLeaf(leafId);
+        await leaf.loadIfDeferred();
+        this.app.workspace.setActiveLeaf(leaf, { focus: true });
+        return this.describeLeaf(leaf);
+    }
+
+    private async setViewState(leafId: string, type?: string, state?: Record<string, unknown>, pinned?: boolean) {
+        log('Setting view state:', leafId, type, state, pinned);
+        const leaf = this.getLeaf(leafId);
+        if (type || state) {
+            const current = leaf.getViewState();
+            const sameType = !type || type === current.type;
+            await leaf.setViewState({
+                ...current,
+                type: type || current.type,
+                // Only carry the old state over when the view type is unchanged
+                state: { ...(sameType ? current.state : {}), ...(state ?? {}) }
+            });
+        }
+        if (typeof pinned === 'boolean') {
+            leaf.setPinned(pinned);
+        }
+        return this.describeLeaf(leaf);
+    }
+
+    private async closeLeaf(leafId: string) {
+        log('Closing leaf:', leafId);
+        this.getLeaf(leafId).detach();
+        return { leafId, closed: true };
+    }
+
+    // The app's command registry is internal
+    private getCommandRegistry(): {
+        commands: Record<string, Command>;
+        executeCommandById(id: string): boolean;
+    } | undefined {
+        // @ts-ignore - Internal API
+        return this.app.commands;
+    }
+
+    // Plugin commands are registered as "<plugin id>:<command id>"
+    private getCommandOwner(commandId: string): string {
+        const prefix = commandId.includes(':') ? commandId.slice(0, commandId.indexOf(':')) : '';
+        // @ts-ignore - Internal API
+        if (prefix && this.app.plugins?.manifests?.[prefix]) {
+            return prefix;
+        }
+        // @ts-ignore - Internal API
+        if (prefix && this.app.internalPlugins?.getPluginById?.(prefix)) {
+            return `core:${prefix}`;
+        }
+        return 'app';
+    }
+
+    // Hotkeys as strings such as "Mod+Shift+P"; custom hotkeys replace the defaults
+    private getCommandHotkeys(command: Command): string[] {
+        // @ts-ignore - Internal API
+        const manager = this.app.hotkeyManager;
+        const hotkeys: Hotkey[] = manager?.getHotkeys?.(command.id) ?? manager?.getDefaultHotkeys?.(command.id)
+            ?? command.hotkeys ?? [];
+        return hotkeys.map(hotkey => [...(hotkey.modifiers ?? []), hotkey.key].join('+'));
+    }
+
+    // Mirrors how the command palette decides whether to show a command
+    private isCommandAvailable(command: Command): boolean {
+        try {
+            const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+            if (command.editorCheckCallback) {
+                return !!view && !!command.editorCheckCallback(true, view.editor, view);
+            }
+            if (command.editorCallback) {
+                return !!view;
+            }
+            if (command.checkCallback) {
+                return !!command.checkCallback(true);
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    private async listCommands(query?: string, plugin?: string) {
+        log('Listing commands:', query, plugin);
+        const registry = this.getCommandRegistry();
+        const needle = query?.toLowerCase();
+        const commands = Object.values(registry?.commands ?? {})
+            .map(command => ({
+                id: command.id,
+                name: command.name,
+                plugin: this.getCommandOwner(command.id),
+                hotkeys: this.getCommandHotkeys(command),
+                available: this.isCommandAvailable(command)
+            }))
+            .filter(command => !needle
+                || command.id.toLowerCase().includes(needle)
+                || command.name.toLowerCase().includes(needle))
+            .filter(command => !plugin || command.plugin === plugin)
+            .sort((a, b) => a.id.localeCompare(b.id));
+        return { count: commands.length, commands };
+    }
+
+    private async executeObsidianCommand(id: string, settleMs = 200) {
+        log('Executing Obsidian command:', id);
+        const registry = this.getCommandRegistry();
+        if (!registry?.commands?.[id]) {
+            throw new Error(`Command not found: ${id}`);
+        }
+        const captured = await this.captureConsoleDuring(() => !!registry.executeCommandById(id), settleMs);
+        return {
+            id,
+            executed: captured.result === true,
+            error: captured.error,
+            console: captured.console,
+            uncaughtErrors: captured.uncaughtErrors
+        };
+    }
+
+    // The community plugin manager is internal
+    private getPluginManager(): {
+        manifests: Record<string, PluginManifest>;
+        plugins: Record<string, Plugin>;
+        enabledPlugins: Set<string>;
+        enablePlugin(id: string): Promise<unknown>;
+        disablePlugin(id: string): Promise<unknown>;
+        enablePluginAndSave(id: string): Promise<unknown>;
+        disablePluginAndSave(id: string): Promise<unknown>;
+        loadManifests?(): Promise<unknown>;
+    } {
+        // @ts-ignore - Internal API
+        return this.app.plugins;
+    }
+
+    private describePlugin(id: string) {
+        const manager = this.getPluginManager();
+        const manifest = manager.manifests[id];
+        const enabled = manager.enabledPlugins.has(id);
+        const loaded = !!manager.plugins[id];
+        return {
+            id,
+            name: manifest?.name ?? id,
+            version: manifest?.version ?? '',
+            enabled,
+            loaded,
+            loadError: this.pluginLoadErrors.get(id)
+                ?? (enabled && !loaded ? 'Enabled but not loaded; check the console for errors' : null)
+        };
+    }
+
+    private assertManagedPlugin(id: string) {
+        if (!this.getPluginManager()?.manifests?.[id]) {
+            throw new Error(`Plugin not installed: ${id}`);
+        }
+        if (id === this.manifest.id) {
+            throw new Error('The DevTools MCP plugin cannot enable, disable or reload itself over MCP');
+        }
+    }
+
+    // Run a plugin lifecycle step and record whether the plugin ended up loaded
+    private async runPluginLifecycle(id: string, action: () => Promise<unknown>, settleMs: number) {
+        this.pluginLoadErrors.delete(id);
+        const captured = await this.captureConsoleDuring(action, settleMs);
+        const manager = this.getPluginManager();
+        if (captured.error) {
+            this.pluginLoadErrors.set(id, captured.error);
+        } else if (manager.enabledPlugins.has(id) && !manager.plugins[id]) {
+            // Obsidian logs load failures instead of throwing them
+            const failure = captured.console.find(entry => entry.type === 'error');
+            this.pluginLoadErrors.set(id, failure?.message ?? 'Plugin failed to load');
+        }
+        return {
+            plugin: this.describePlugin(id),
+            error: captured.error,
+            console: captured.console,
+            uncaughtErrors: captured.uncaughtErrors
+        };
+    }
+
+    private async listPlugins() {
+        log('Listing plugins');
+        const manager = this.getPluginManager();
+        const plugins = Object.keys(manager?.manifests ?? {})
+            .sort()
+            .map(id => this.describePlugin(id));
+        return { plugins };
+    }
+
+    private async setPluginEnabled(id: string, enabled: boolean) {
+        log(enabled ? 'Enabling plugin:' : 'Disabling plugin:', id);
+        this.assertManagedPlugin(id);
+        const manager = this.getPluginManager();
+        return this.runPluginLifecycle(id, () => enabled
+            ? manager.enablePluginAndSave(id)
+            : manager.disablePluginAndSave(id), 200);
+    }
+
+    private async reloadPlugin(id: string, settleMs = 500) {
+        log('Reloading plugin:', id);
+        this.assertManagedPlugin(id);
+        const manager = this.getPluginManager();
+        if (!manager.enabledPlugins.has(id)) {
+            throw new Error(`Plugin ${id} is not enabled; use enable_plugin instead`);
+        }
+        return this.runPluginLifecycle(id, async () => {
+            await manager.disablePlugin(id);
+            // Pick up a rebuilt manifest as well as the new main.js
+            await manager.loadManifests?.();
+            await manager.enablePlugin(id);
+        }, settleMs);
+    }
+
+    private async evaluateJavaScript(expression: string, maxDepth?: number) {
+        log('Evaluating:', expression);
+        if (!this.settings.enableEvaluate) {
+            throw new Error('evaluate_javascript is disabled in the DevTools MCP settings');
+        }
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new Error('expression is required');
+        }
+
+        // Compile as an expression first so `1 + 1` returns its value, then fall
+        // back to a statement body for code that uses `return`
+        const AsyncFunction = Object.getPrototypeOf(async function () { /* */ }).constructor;
+        let fn: (app: App) => Promise<unknown>;
+        try {
+            fn = new AsyncFunction('app', `return (${expression}\n);`);
+        } catch (e) {
+            fn = new AsyncFunction('app', expression);
+        }
+
+        const start = performance.now();
+        let value: unknown;
+        try {
+            // Promises returned by the code are awaited by the async wrapper
+            value = await fn(this.app);
+        } catch (error) {
+            throw new Error(describeException(error));
+        }
+        const durationMs = Math.round(performance.now() - start);
+
+        const options = { ...DEFAULT_SERIALIZE_OPTIONS };
+        if (typeof maxDepth === 'number' && maxDepth >= 0) {
+            options.maxDepth = Math.min(maxDepth, 10);
+        }
+        return {
+            type: value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value,
+            value: serializeValue(value, options),
+            durationMs
+        };
+    }
+
+    // Original console methods of each window whose console is wrapped
+    private originalConsoles = new Map<Window, Record<string, ConsoleMethod>>();
+
+    /**
+     * Wrap a window's console and listen for its uncaught errors. Every window
+     * has its own console, so popouts are set up as they open.
+     */
+    private setupConsoleCapture(win: Window = window, windowId = 'main') {
+        if (this.originalConsoles.has(win)) {
+            return;
+        }
+        log('Setting up console capture for window', windowId);
+        const winConsole = consoleOf(win);
+        const originalConsole: Record<string, ConsoleMethod> = {};
+        this.originalConsoles.set(win, originalConsole);
+        // Store original console methods
+        CONSOLE_METHODS.forEach(method => {
+            originalConsole[method] = winConsole[method];
+            winConsole[method] = (...args: unknown[]) => {
+                // Call original method
+                originalConsole[method](...args);
+
+                // Frame 0 is "Error", frame 1 this wrapper; the rest is the caller
+                const rawStack = new Error().stack ?? '';
+                this.recordConsoleEntry(() => {
+                    const callerStack = rawStack.split('\n').slice(2).join('\n');
+                    const firstError = args.find((arg): arg is Error => arg instanceof Error);
+                    return {
+                        type: method,
+                        origin: 'console',
+                        message: args.map(formatConsoleArg).join(' '),
+                        args,
+                        stack: firstError?.stack ?? (method === 'trace' ? callerStack : null),
+                        source: parseStackFrame(callerStack.split('\n')[0] ?? ''),
+                        plugin: pluginFromStack(callerStack),
+                        window: windowId
+                    };
+                });
+            };
+        });
+
+        // Errors that never reach the console API; removed again on unload
+        this.registerDomEvent(win, 'error', (event: ErrorEvent) => {
+            const stack = event.error?.stack ?? null;
+            this.recordConsoleEntry(() => ({
+                type: 'error',
+                origin: 'uncaught',
+                message: `Uncaught ${event.error instanceof Error ? formatConsoleArg(event.error) : event.message}`,
+                args: [event.error ?? event.message],
+                stack,
+                source: event.filename
+                    ? { url: event.filename, line: event.lineno, column: event.colno, functionName: null }
+                    : null,
+                plugin: pluginFromStack(stack) ?? pluginFromUrl(event.filename),
+                window: windowId
+            }));
+        });
+        this.registerDomEvent(win, 'unhandledrejection', (event: PromiseRejectionEvent) => {
+            const stack = event.reason?.stack ?? null;
+            this.recordConsoleEntry(() => ({
+                type: 'error',
+                origin: 'unhandledrejection',
+                message: `Unhandled rejection: ${formatConsoleArg(event.reason)}`,
+                args: [event.reason],
+                stack,
+                source: parseStackFrame((stack ?? '').split('\n')[1] ?? ''),
+                plugin: pluginFromStack(stack),
+                window: windowId
+            }));
+        });
+    }
+
+    // Entries are built inside the guard, since formatting arguments can run
+    // getters that log themselves
+    private recordConsoleEntry(build: () => Omit<ConsoleEntry, 'seq' | 'timestamp' | 'time'>) {
+        if (this.recordingConsole) {
+            return;
+        }
+        this.recordingConsole = true;
+        try {
+            const entry = build();
+            const now = Date.now();
+            this.consoleMessages.push({
+                ...entry,
+                seq: ++this.consoleSequence,
+                args: entry.args.map(arg => serializeValue(arg, CONSOLE_SERIALIZE_OPTIONS)),
+                timestamp: new Date(now).toISOString(),
+                time: now
+            });
+
+            // Keep only the most recent messages
+            if (this.consoleMessages.length > MAX_CONSOLE_MESSAGES) {
+                this.consoleMessages.shift();
+            }
+        } catch (error) {
+            // Never let capture break the caller's console call
+        } finally {
+            this.recordingConsole = false;
+        }
+    }
+
+    private isOwnLog(entry: ConsoleEntry): boolean {
+        return entry.origin === 'console' && entry.message.startsWith(LOG_PREFIX);
+    }
+
+    private restoreConsole() {
+        log('Restoring console methods');
+        // Restore original console methods; closed popouts are already gone
+        this.originalConsoles.forEach((originalConsole, win) => {
+            if (!win.closed) {
+                Object.keys(originalConsole).forEach(method => {
+                    consoleOf(win)[method] = originalConsole[method];
+                });
+            }
+        });
+        this.originalConsoles.clear();
+    }
+
+    /**
+     * Replace fetch, XMLHttpRequest and Obsidian's requestUrl with recording
+     * wrappers. Nothing is wrapped while capture is off.
+     */
+    private setupNetworkCapture() {
+        if (Object.keys(this.originalNetworkApis).length > 0) {
+            return;
+        }
+        log('Setting up network capture');
+        const obsidianModule = getSharedObsidianModule();
+        // The XMLHttpRequest wrappers need `this` to be the request
+        const startEntry = this.startNetworkEntry.bind(this);
+        const finishEntry = this.finishNetworkEntry.bind(this);
+
+        const originalFetch = window.fetch;
+        const fetchWrapper = function (input: RequestInfo | URL, init?: RequestInit) {
+            const request = input instanceof Request ? input : null;
+            const entry = startEntry(
+                'fetch',
+                init?.method ?? request?.method ?? 'GET',
+                request ? request.url : String(input),
+                { ...headersToRecord(request?.headers), ...headersToRecord(init?.headers) },
+                describeRequestBody(init?.body),
+                new Error().stack
+            );
+            return originalFetch.call(window, input, init).then(response => {
+                const headers = headersToRecord(response.headers);
+                finishEntry(entry, response.status, response.statusText, headers, null, null);
+                // Read a copy of the body in the background so the caller is not delayed
+                if (TEXT_CONTENT_TYPE.test(headers['content-type'] ?? '')) {
+                    response.clone().text()
+                        .then(text => { entry.responseBody = truncateBody(text); })
+                        .catch(() => { /* Body streams can be cancelled by the caller */ });
+                }
+                return response;
+            }, error => {
+                finishEntry(entry, null, '', {}, null, describeException(error));
+                throw error;
+            });
+        };
+        window.fetch = fetchWrapper;
+        this.originalNetworkApis.fetch = { original: originalFetch, wrapper: fetchWrapper };
+
+        const xhrProto = XMLHttpRequest.prototype;
+        const originalOpen = xhrProto.open;
+        const originalSetRequestHeader = xhrProto.setRequestHeader;
+        const originalSend = xhrProto.send;
+        const openWrapper = function (this: TrackedXhr, method: string, url: string | URL, ...rest: unknown[]) {
+            this.__devtoolsNetwork = { method, url: String(url), headers: {} };
+            return originalOpen.call(this, method, url, ...rest);
+        };
+        const setRequestHeaderWrapper = function (this: TrackedXhr, name: string, value: string) {
+            if (this.__devtoolsNetwork) {
+                this.__devtoolsNetwork.headers[name.toLowerCase()] = value;
+            }
+            return originalSetRequestHeader.call(this, name, value);
+        };
+        const sendWrapper = function (this: TrackedXhr, body?: Document | XMLHttpRequestBodyInit | null) {
+            const pending = this.__devtoolsNetwork;
+            if (pending) {
+                const entry = startEntry(
+                    'xhr', pending.method, pending.url, pending.headers, describeRequestBody(body), new Error().stack
+                );
+                this.addEventListener('loadend', () => {
+                    const headers = parseRawHeaders(this.getAllResponseHeaders() ?? '');
+                    let responseBody: string | null = null;
+                    if (this.responseType === '' || this.responseType === 'text') {
+                        responseBody = truncateBody(this.responseText ?? '');
+                    } else if (this.responseType === 'json') {
+                        responseBody = truncateBody(JSON.stringify(this.response));
+                    }
+                    finishEntry(
+                        entry,
+                        this.status || null,
+                        this.statusText ?? '',
+                        headers,
+                        responseBody,
+                        this.status === 0 ? 'Network error or request aborted' : null
+                    );
+                });
+            }
+            return originalSend.call(this, body);
+        };
+        xhrProto.open = openWrapper;
+        xhrProto.setRequestHeader = setRequestHeaderWrapper;
+        xhrProto.send = sendWrapper;
+        this.originalNetworkApis.xhrOpen = { original: originalOpen, wrapper: openWrapper };
+        this.originalNetworkApis.xhrSetRequestHeader = { original: originalSetRequestHeader, wrapper: setRequestHeaderWrapper };
+        this.originalNetworkApis.xhrSend = { original: originalSend, wrapper: sendWrapper };
+
+        // Plugins call requestUrl through the shared module object, so
+        // replacing the export there is seen by all of them
+        const originalRequestUrl = obsidianModule.requestUrl;
+        if (typeof originalRequestUrl === 'function') {
+            const requestUrlWrapper = function (param: RequestUrlParam | string) {
+                const options = typeof param === 'string' ? { url: param } : param;
+                const headers = headersToRecord(options?.headers);
+                if (options?.contentType) {
+                    headers['content-type'] = options.contentType;
+                }
+                const entry = startEntry(
+                    'requestUrl',
+                    options?.method ?? 'GET',
+                    options?.url ?? '',
+                    headers,
+                    describeRequestBody(options?.body),
+                    new Error().stack
+                );
+                // Return the original promise, which also carries .json/.text
+                const result = originalRequestUrl.call(obsidianModule, param);
+                result.then(response => {
+                    const responseHeaders = headersToRecord(response.headers);
+                    let responseBody: string | null = null;
+                    if (TEXT_CONTENT_TYPE.test(responseHeaders['content-type'] ?? '')) {
+                        try {
+                            responseBody = truncateBody(response.text);
+                        } catch (error) {
+                            responseBody = null;
+                        }
+                    }
+                    finishEntry(entry, response.status, '', responseHeaders, responseBody, null);
+                }, (error: { status?: number; headers?: Record<string, string> } | null) => {
+                    finishEntry(entry, error?.status ?? null, '', headersToRecord(error?.headers), null, describeException(error));
+                });
+                return result;
+            };
+            try {
+                obsidianModule.requestUrl = requestUrlWrapper;
+                this.originalNetworkApis.requestUrl = { original: originalRequestUrl, wrapper: requestUrlWrapper };
+            } catch (error) {
+                log('Could not wrap requestUrl, its calls will not be captured:', error);
+            }
+        }
+    }
+
+    // Put the original APIs back, unless something else has wrapped them since
+    private teardownNetworkCapture() {
+        const apis = this.originalNetworkApis;
+        if (Object.keys(apis).length === 0) {
+            return;
+        }
+        log('Tearing down network capture');
+        const obsidianModule = getSharedObsidianModule();
+        const xhrProto = XMLHttpRequest.prototype;
+        const restore = <T extends object>(target: T, key: keyof T, saved: { original: unknown; wrapper: unknown } | undefined) => {
+            if (saved && target[key] === saved.wrapper) {
+                target[key] = saved.original as T[keyof T];
+            }
+        };
+        restore(window, 'fetch', apis.fetch);
+        restore(xhrProto, 'open', apis.xhrOpen);
+        restore(xhrProto, 'setRequestHeader', apis.xhrSetRequestHeader);
+        restore(xhrProto, 'send', apis.xhrSend);
+        restore(obsidianModule, 'requestUrl', apis.requestUrl);
+        this.originalNetworkApis = {};
+    }
+
+    private redactHeaders(headers: Record<string, string>): Record<string, string> {
+        if (!this.settings.redactAuthHeaders) {
+            return headers;
+        }
+        const result: Record<string, string> = {};
+        Object.keys(headers).forEach(key => {
+            result[key] = REDACTED_HEADERS.has(key.toLowerCase()) ? '[redacted]' : headers[key];
+        });
+        return result;
+    }
+
+    private startNetworkEntry(
+        api: NetworkEntry['api'],
+        method: string,
+        url: string,
+        requestHeaders: Record<string, string>,
+        requestBody: string | null,
+        stack: string | undefined
+    ): NetworkEntry {
+        const now = Date.now();
+        const entry: NetworkEntry = {
+            id: ++this.networkSequence,
+            api,
+            method: method.toUpperCase(),
+            url,
+            status: null,
+            statusText: '',
+            requestHeaders: this.redactHeaders(requestHeaders),
+            responseHeaders: {},
+            requestBody,
+            responseBody: null,
+            error: null,
+            // Frame 0 is "Error", frame 1 the wrapper; the rest is the caller
+            plugin: pluginFromStack((stack ?? '').split('\n').slice(2).join('\n')),
+            timestamp: new Date(now).toISOString(),
+            time: now,
+            durationMs: null
+        };
+        this.networkEntries.push(entry);
+        if (this.networkEntries.length > MAX_NETWORK_ENTRIES) {
+            this.networkEntries.shift();
+        }
+        return entry;
+    }
+
+    private finishNetworkEntry(
+        entry: NetworkEntry,
+        status: number | null,
+        statusText: string,
+        responseHeaders: Record<string, string>,
+        responseBody: string | null,
+        error: string | null
+    ) {
+        entry.status = status;
+        entry.statusText = statusText;
+        entry.responseHeaders = this.redactHeaders(responseHeaders);
+        entry.responseBody = responseBody;
+        entry.error = error;
+        entry.durationMs = Date.now() - entry.time;
+    }
+
+    private async getNetworkRequests(query: NetworkQuery = {}) {
+        log('Getting network requests:', query);
+        const limit = query.limit ?? 50;
+        let urlPattern: RegExp | null = null;
+        if (query.urlPattern) {
+            try {
+                urlPattern = new RegExp(query.urlPattern, 'i');
+            } catch (error) {
+                throw new Error(`Invalid urlPattern: ${(error as Error).message}`);
+            }
+        }
+        const method = query.method?.toUpperCase();
 
-function log(...args: any[]) {
-    if (DEBUG) {
-        console.log('[DevTools MCP]', ...args);
+        const matches = this.networkEntries.filter(entry =>
+            (!urlPattern || urlPattern.test(entry.url))
+            && (!method || entry.method === method)
+            && (!query.api || entry.api === query.api)
+            && (query.minStatus === undefined || (entry.status ?? 0) >= query.minStatus)
+            && (query.maxStatus === undefined || (entry.status !== null && entry.status <= query.maxStatus))
+            && (!query.failedOnly || !!entry.error || (entry.status ?? 0) >= 400)
+            && (query.sinceId === undefined || entry.id > query.sinceId)
+            && (!query.plugin || entry.plugin === query.plugin)
+        );
+        const selected = limit > 0 ? matches.slice(-limit) : matches;
+        const requests = query.includeBodies === false
+            ? selected.map(entry => ({ ...entry, requestBody: null, responseBody: null }))
+            : selected;
+        return {
+            capturing: Object.keys(this.originalNetworkApis).length > 0,
+            requests,
+            matched: matches.length,
+            latestId: this.networkSequence
+        };
     }
-}
 
-export default class ObsidianDevToolsPlugin extends Plugin {
-    private webSocket: WebSocket | null = null;
-    private consoleMessages: any[] = [];
-    private statusBarEl: HTMLElement | null = null;
-    private reconnectTimeout: number | null = null;
-    private attemptCount: number = 0;
-    private currentPortIndex: number = 0;
-    private lastActivePort: number | null = null;
-    private reconnecting: boolean = false;
+    private assertCssName(name: string) {
+        if (!CSS_NAME_PATTERN.test(name ?? '')) {
+            throw new Error(`Invalid name: ${name}. Use letters, digits, spaces, ".", "_" and "-"`);
+        }
+    }
 
-    async onload() {
-        log('Loading plugin...');
+    private async injectCss(name: string, css: string) {
+        log('Injecting CSS:', name);
+        this.assertCssName(name);
+        if (typeof css !== 'string') {
+            throw new Error('css must be a string');
+        }
+        const created = !this.injectedStyles.has(name);
+        this.injectedStyles.set(name, css);
+        this.getTargetDocuments('all').forEach(doc => this.applyInjectedStyle(doc, name, css));
+        return { name, created, length: css.length, injected: Array.from(this.injectedStyles.keys()) };
+    }
 
-        // Add a ribbon icon for toggling DevTools
-        const ribbonIcon = this.addRibbonIcon('bug', 'Toggle DevTools', () => {
-            // @ts-ignore - Using internal Electron API
-            if (this.app.win?.webContents) {
-                // @ts-ignore
-                this.app.win.webContents.toggleDevTools();
-            }
+    private findInjectedStyle(doc: Document, name: string): HTMLStyleElement | null {
+        return doc.head.querySelector(`style[data-devtools-mcp="${CSS.escape(name)}"]`);
+    }
+
+    private applyInjectedStyle(doc: Document, name: string, css: string) {
+        const style = this.findInjectedStyle(doc, name) ?? doc.head.createEl('style', {
+            attr: { 'data-devtools-mcp': name }
         });
-        
-        ribbonIcon.addClass('obsidian-devtools-mcp-icon');
+        style.textContent = css;
+    }
 
-        // Set up console capture
-        this.setupConsoleCapture();
+    private async removeCss(name?: string) {
+        log('Removing CSS:', name ?? 'all');
+        const names = name ? [name] : Array.from(this.injectedStyles.keys());
+        if (name && !this.injectedStyles.has(name)) {
+            throw new Error(`No injected stylesheet named ${name}`);
+        }
+        names.forEach(styleName => {
+            this.getTargetDocuments('all').forEach(doc => this.findInjectedStyle(doc, styleName)?.remove());
+            this.injectedStyles.delete(styleName);
+        });
+        return { removed: names, injected: Array.from(this.injectedStyles.keys()) };
+    }
 
-        // Add status bar item
-        this.statusBarEl = this.addStatusBarItem();
-        this.updateStatus('Initializing...');
+    // Snippet management lives in the internal customCss manager
+    private getCustomCss(): {
+        snippets: string[];
+        enabledSnippets: Set<string>;
+        readSnippets(): Promise<void>;
+        setCssEnabledStatus(name: string, enabled: boolean): void;
+        requestLoadSnippets(): void;
+    } {
+        // @ts-ignore - Internal API
+        return this.app.customCss;
+    }
 
-        // Initial connection attempt
-        this.connectToServer();
+    private getSnippetsFolder(): string {
+        return normalizePath(`${this.app.vault.configDir}/snippets`);
+    }
 
-        log('Plugin loaded');
+    private describeSnippet(name: string) {
+        return {
+            name,
+            path: `${this.getSnippetsFolder()}/${name}.css`,
+            enabled: this.getCustomCss()?.enabledSnippets?.has(name) ?? false
+        };
     }
 
-    onunload() {
-        log('Unloading plugin...');
-        if (this.reconnectTimeout) {
-            window.clearTimeout(this.reconnectTimeout);
-        }
-        this.webSocket?.close();
-        this.restoreConsole();
-        log('Plugin unloaded');
+    private async listCssSnippets() {
+        log('Listing CSS snippets');
+        const customCss = this.getCustomCss();
+        await customCss?.readSnippets?.();
+        const names: string[] = customCss?.snippets ?? [];
+        return {
+            folder: this.getSnippetsFolder(),
+            snippets: names.map(name => this.describeSnippet(name))
+        };
     }
 
-    private updateStatus(status: string) {
-        log('Status:', status);
-        if (this.statusBarEl) {
-            this.statusBarEl.setText(`DevTools MCP: ${status}`);
+    private async setCssSnippetEnabled(name: string, enabled: boolean) {
+        log(enabled ? 'Enabling snippet:' : 'Disabling snippet:', name);
+        const customCss = this.getCustomCss();
+        await customCss?.readSnippets?.();
+        if (!(customCss?.snippets ?? []).includes(name)) {
+            throw new Error(`Snippet not found: ${name}`);
         }
+        customCss.setCssEnabledStatus(name, !!enabled);
+        return this.describeSnippet(name);
     }
 
-    private connectToServer() {
-        // Prevent multiple connection attempts running simultaneously
-        if (this.reconnecting) {
-            log('Already attempting to reconnect, skipping...');
-            return;
+    private async saveCssSnippet(name: string, css?: string, enable = true, overwrite = false, removeInjected = true) {
+        log('Saving CSS snippet:', name);
+        this.assertCssName(name);
+        const content = css ?? this.injectedStyles.get(name);
+        if (typeof content !== 'string') {
+            throw new Error(`No css given and no injected stylesheet named ${name}`);
         }
 
-        this.reconnecting = true;
+        // The config folder is outside the vault index, so write through the adapter
+        const adapter = this.app.vault.adapter;
+        const folder = this.getSnippetsFolder();
+        const path = `${folder}/${name}.css`;
+        if (!(await adapter.exists(folder))) {
+            await adapter.mkdir(folder);
+        }
+        if (!overwrite && await adapter.exists(path)) {
+            throw new Error(`Snippet ${name} already exists; pass overwrite: true to replace it`);
+        }
+        await adapter.write(path, content);
 
-        try {
-            // Try to load last active port from localStorage if available
-            if (this.lastActivePort === null) {
-                try {
-                    const savedPort = localStorage.getItem('devtools-mcp-port');
-                    if (savedPort) {
-                        const port = parseInt(savedPort);
-                        // Find index of this port or default to 0
-                        const index = WS_PORTS.indexOf(port);
-                        if (index >= 0) {
-                            this.currentPortIndex = index;
-                            log('Using saved port:', port, 'at index', index);
-                        }
-                    }
-                } catch (e) {
-                    log('Error loading saved port:', e);
-                }
+        const customCss = this.getCustomCss();
+        await customCss?.readSnippets?.();
+        if (enable) {
+            customCss?.setCssEnabledStatus?.(name, true);
+        }
+        // Reload so an already enabled snippet picks up the new content
+        customCss?.requestLoadSnippets?.();
+        if (removeInjected && this.injectedStyles.has(name)) {
+            await this.removeCss(name);
+        }
+        return this.describeSnippet(name);
+    }
+
+    /**
+     * Collect every style rule in document order whose stylesheet media, @media
+     * and @supports conditions currently apply. Stylesheets whose rules can't be
+     * read (cross-origin) are skipped.
+     */
+    private collectCascadeRules(doc: Document) {
+        const view = doc.defaultView ?? window;
+        const sheets: CSSStyleSheet[] = [
+            ...Array.from(doc.styleSheets),
+            // @ts-ignore - adoptedStyleSheets is missing from the bundled DOM types
+            ...(doc.adoptedStyleSheets ?? [])
+        ];
+        const rules: CascadeRule[] = [];
+        // Layers in order of first appearance, which is how the cascade orders them
+        const layerNames: string[] = [];
+        const addLayer = (name: string) => {
+            if (!layerNames.includes(name)) {
+                layerNames.push(name);
+            }
+        };
+        const readRules = (sheet: CSSStyleSheet) => {
+            try {
+                return sheet.cssRules;
+            } catch (error) {
+                return null;
             }
+        };
+        const mediaApplies = (media: MediaList) => !media.mediaText || view.matchMedia(media.mediaText).matches;
+        // Rules from popout windows come from another realm, so compare class names instead of instanceof
+        const isRule = <T extends CSSRule>(rule: CSSRule, type: string): rule is T => rule.constructor.name === type;
 
-            // Get current port to try
-            const port = WS_PORTS[this.currentPortIndex];
-            this.updateStatus(`Connecting to port ${port}...`);
-            log('Connecting to WebSocket on port', port);
+        const walk = (list: CSSRuleList, stylesheet: number, layerName: string | null, conditions: string[]) => {
+            Array.from(list).forEach(rule => {
+                const qualify = (name: string) => layerName ? `${layerName}.${name}` : name;
+                if (isRule<CSSStyleRule>(rule, 'CSSStyleRule')) {
+                    rules.push({
+                        style: rule.style,
+                        selectorText: rule.selectorText,
+                        selectors: splitSelectorList(rule.selectorText),
+                        stylesheet,
+                        order: rules.length,
+                        layer: 0,
+                        layerName,
+                        conditions
+                    });
+                } else if (isRule<CSSImportRule>(rule, 'CSSImportRule')) {
+                    const imported = rule.styleSheet && mediaApplies(rule.media) ? readRules(rule.styleSheet) : null;
+                    if (imported) {
+                        walk(imported, stylesheet, layerName, conditions);
+                    }
+                } else if (isRule<CSSMediaRule>(rule, 'CSSMediaRule')) {
+                    if (mediaApplies(rule.media)) {
+                        walk(rule.cssRules, stylesheet, layerName, [...conditions, `@media ${rule.media.mediaText}`]);
+                    }
+                } else if (isRule<CSSSupportsRule>(rule, 'CSSSupportsRule')) {
+                    if (view.CSS.supports(rule.conditionText)) {
+                        walk(rule.cssRules, stylesheet, layerName, [...conditions, `@supports ${rule.conditionText}`]);
+                    }
+                } else if (isRule<CSSRule & { nameList?: string[] }>(rule, 'CSSLayerStatementRule')) {
+                    (rule.nameList ?? []).forEach(name => addLayer(qualify(name)));
+                } else if (isRule<CSSGroupingRule & { name?: string }>(rule, 'CSSLayerBlockRule')) {
+                    const name = qualify(rule.name || '(anonymous)');
+                    addLayer(name);
+                    walk(rule.cssRules, stylesheet, name, conditions);
+                } else if ('cssRules' in rule && rule.constructor.name !== 'CSSKeyframesRule') {
+                    // @container, @scope and the like; their conditions are not evaluated
+                    const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+                    walk((rule as CSSGroupingRule).cssRules, stylesheet, layerName, [...conditions, `${prelude} (not evaluated)`]);
+                }
+            });
+        };
 
-            this.webSocket = new WebSocket(`ws://localhost:${port}`);
+        sheets.forEach((sheet, index) => {
+            const list = sheet.disabled || !mediaApplies(sheet.media) ? null : readRules(sheet);
+            if (list) {
+                walk(list, index, null, []);
+            }
+        });
+        rules.forEach(rule => {
+            rule.layer = rule.layerName === null ? layerNames.length : layerNames.indexOf(rule.layerName);
+        });
+        return { sheets, rules };
+    }
 
-            this.webSocket.onopen = () => {
-                log('Connected to DevTools bridge server on port', port);
-                this.updateStatus(`Connected to port ${port}`);
-                this.attemptCount = 0;
-                this.lastActivePort = port;
-                this.reconnecting = false;
-                
-                // Save successful port for future attempts
-                try {
-                    localStorage.setItem('devtools-mcp-port', port.toString());
-                } catch (e) {
-                    log('Error saving port:', e);
+    // Rules matching the element (or one of its ::before/::after pseudo-elements), plus its style attribute
+    private matchCascadeRules(element: Element, rules: CascadeRule[], pseudoElement?: string): MatchedRule[] {
+        const matches: MatchedRule[] = [];
+        for (const rule of rules) {
+            let best: MatchedRule | null = null;
+            for (const selector of rule.selectors) {
+                const suffix = selector.match(PSEUDO_ELEMENT_SUFFIX);
+                if ((suffix ? suffix[1].toLowerCase() : undefined) !== pseudoElement) {
+                    continue;
                 }
-            };
-
-            this.webSocket.onmessage = async (event) => {
+                let target = suffix ? selector.slice(0, suffix.index) : selector;
+                if (!target.trim() || /[\s>+~]$/.test(target)) {
+                    target += '*';
+                }
+                let matched = false;
                 try {
-                    const message = JSON.parse(event.data) as BridgeMessage;
-                    log('Received message:', message);
-                    
-                    try {
-                        const result = await this.executeCommand(message);
-                        log('Command result:', result);
-                        
-                        const response = {
-                            jsonrpc: '2.0',
-                            id: message.id,
-                            result: result
-                        };
-                        log('Sending response:', response);
-                        this.webSocket?.send(JSON.stringify(response));
-                    } catch (cmdError: any) {
-                        log('Command error:', cmdError);
-                        this.webSocket?.send(JSON.stringify({
-                            jsonrpc: '2.0',
-                            id: message.id,
-                            error: {
-                                code: -32603,
-                                message: cmdError.message || 'Unknown command error'
-                            }
-                        }));
-                    }
-                } catch (error: any) {
-                    log('Message parsing error:', error);
-                    this.webSocket?.send(JSON.stringify({
-                        jsonrpc: '2.0',
-                        id: -1,
-                        error: {
-                            code: -32700,
-                            message: 'Invalid message format'
-                        }
-                    }));
+                    matched = element.matches(target);
+                } catch (error) {
+                    // Selectors the engine can't evaluate outside a stylesheet
                 }
-            };
+                const specificity = selectorSpecificity(selector);
+                if (matched && (!best || compareSpecificity(specificity, best.specificity ?? [0, 0, 0]) > 0)) {
+                    best = { rule, selector, specificity };
+                }
+            }
+            if (best) {
+                matches.push(best);
+            }
+        }
 
-            this.webSocket.onerror = (error: Event) => {
-                log('WebSocket error:', error);
-                this.updateStatus('Error');
-            };
+        const inlineStyle = (element as HTMLElement).style;
+        if (!pseudoElement && inlineStyle?.length) {
+            matches.push({
+                rule: {
+                    style: inlineStyle,
+                    selectorText: 'style attribute',
+                    selectors: [],
+                    stylesheet: null,
+                    order: -1,
+                    layer: 0,
+                    layerName: null,
+                    conditions: []
+                },
+                selector: null,
+                specificity: null
+            });
+        }
+        return matches;
+    }
 
-            this.webSocket.onclose = () => {
-                log('Disconnected from DevTools bridge server');
-                this.updateStatus('Disconnected');
-                
-                // If we had a successful connection before, keep trying the same port
-                if (this.lastActivePort !== null) {
-                    this.currentPortIndex = WS_PORTS.indexOf(this.lastActivePort);
-                }
-                
-                // Aggressive reconnection with very short initial delay
-                const delay = Math.min(50 * Math.pow(1.1, this.attemptCount), 1000);
-                this.attemptCount++;
-                
-                log(`Attempting reconnect to port ${WS_PORTS[this.currentPortIndex]} in ${delay}ms`);
-                
-                if (this.reconnectTimeout) {
-                    window.clearTimeout(this.reconnectTimeout);
+    // Find the winning declaration for each property among the matched rules
+    private resolveCascade(matches: MatchedRule[], filter: (property: string) => boolean = () => true) {
+        const byMatch = new Map<MatchedRule, CascadeDeclaration[]>();
+        const winners = new Map<string, CascadeDeclaration>();
+        matches.forEach(match => {
+            const style = match.rule.style;
+            const declarations: CascadeDeclaration[] = [];
+            for (let i = 0; i < style.length; i++) {
+                const property = style[i];
+                if (!filter(property)) {
+                    continue;
                 }
-                
-                // Reset attempt count after 10 tries to prevent backoff from getting too long
-                if (this.attemptCount > 10) {
-                    this.attemptCount = 0;
+                const declaration = {
+                    match,
+                    property,
+                    value: declaredValue(style, property),
+                    important: style.getPropertyPriority(property) === 'important'
+                };
+                declarations.push(declaration);
+                const winner = winners.get(property);
+                if (!winner || compareDeclarations(declaration, winner) > 0) {
+                    winners.set(property, declaration);
                 }
-                
-                this.reconnectTimeout = window.setTimeout(() => {
-                    this.reconnecting = false; // Reset reconnecting flag
-                    this.connectToServer();  // Actually try to reconnect
-                }, delay);
-            };
-        } catch (error) {
-            this.updateStatus('Connection Failed');
-            
-            // Reset reconnecting flag and try again after shorter delay
-            this.reconnecting = false;
-            
-            // Try next port with a shorter delay
-            this.currentPortIndex = (this.currentPortIndex + 1) % WS_PORTS.length;
-            const delay = Math.min(100 * Math.pow(1.2, this.attemptCount), 2000);
-            
-            // Reset attempt count after 10 tries
-            if (this.attemptCount > 10) {
-                this.attemptCount = 0;
-            }
-            
-            if (this.reconnectTimeout) {
-                window.clearTimeout(this.reconnectTimeout);
             }
-            
-            this.reconnectTimeout = window.setTimeout(() => {
-                this.connectToServer();
-            }, delay);
+            byMatch.set(match, declarations);
+        });
+        return { matches, byMatch, winners };
+    }
+
+    private describeStyleSheet(sheet: CSSStyleSheet, index: number) {
+        const owner = isElement(sheet.ownerNode) ? sheet.ownerNode : null;
+        const injected = owner?.getAttribute('data-devtools-mcp');
+        let label: string;
+        if (sheet.href) {
+            label = sheet.href.split(/[?#]/)[0].split('/').pop() || sheet.href;
+        } else if (injected) {
+            label = `inject_css "${injected}"`;
+        } else if (owner?.id) {
+            label = `<style id="${owner.id}">`;
+        } else {
+            // Themes, snippets and plugin styles usually open with a comment naming them
+            const comment = owner?.textContent?.match(/^\s*\/\*([\s\S]*?)\*\//);
+            label = comment ? `<style> /* ${comment[1].trim().slice(0, 80)} */` : `<style> #${index}`;
         }
+        return { index, label, href: sheet.href, owner: owner ? describeNode(owner) : null };
     }
 
-    private async executeCommand(message: BridgeMessage) {
-        log('Executing command:', message);
-        
-        if (!this.app.workspace) {
-            throw new Error('Workspace not available');
+    private async getMatchedRules(options: {
+        selector: string;
+        window?: string;
+        properties?: string[];
+        includeVariables?: boolean;
+        includeInherited?: boolean;
+        includePseudoElements?: boolean;
+    }) {
+        const { selector, properties, includeVariables = false, includeInherited = true, includePseudoElements = true } = options;
+        log('Getting matched rules for:', selector);
+        const element = this.findElements(selector, options.window)[0];
+        if (!element) {
+            throw new Error(`Element not found: ${selector}`);
+        }
+
+        const wanted = propertyMatcher(properties);
+        // Obsidian declares hundreds of theme variables on body, leave them out unless asked for
+        const include = (property: string) => wanted(property)
+            && (!!properties?.length || includeVariables || !property.startsWith('--'));
+        const { sheets, rules } = this.collectCascadeRules(element.ownerDocument);
+        const usedSheets = new Set<number>();
+
+        // Matched rules in precedence order, winning rule first
+        const describe = (
+            cascade: ReturnType<ObsidianDevToolsPlugin['resolveCascade']>,
+            isOverridden: (declaration: CascadeDeclaration) => boolean
+        ) => cascade.matches
+            .slice()
+            .sort((a, b) => compareRulePrecedence(b, a))
+            .map(match => {
+                const { rule } = match;
+                if (rule.stylesheet !== null) {
+                    usedSheets.add(rule.stylesheet);
+                }
+                return {
+                    selector: rule.selectorText,
+                    matchedSelector: match.selector,
+                    specificity: match.specificity,
+                    source: rule.stylesheet === null ? 'style attribute' : this.describeStyleSheet(sheets[rule.stylesheet], rule.stylesheet).label,
+                    stylesheet: rule.stylesheet,
+                    layer: rule.layerName,
+                    conditions: rule.conditions,
+                    declarations: (cascade.byMatch.get(match) ?? [])
+                        .filter(declaration => include(declaration.property))
+                        .map(declaration => ({
+                            property: declaration.property,
+                            value: declaration.value,
+                            important: declaration.important,
+                            overridden: isOverridden(declaration)
+                        }))
+                };
+            })
+            .filter(rule => rule.declarations.length > 0);
+
+        const own = this.resolveCascade(this.matchCascadeRules(element, rules));
+        const matchedRules = describe(own, declaration => own.winners.get(declaration.property) !== declaration);
+        const computedStyle = viewOf(element).getComputedStyle(element);
+        const computed: Record<string, string> = {};
+        own.winners.forEach((_, property) => {
+            if (include(property)) {
+                computed[property] = computedStyle.getPropertyValue(property);
+            }
+        });
+
+        // An inherited declaration loses to anything set on the element or a closer ancestor
+        const inherited: { element: string; rules: ReturnType<typeof describe> }[] = [];
+        if (includeInherited) {
+            const alreadySet = new Set(own.winners.keys());
+            for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+                const cascade = this.resolveCascade(this.matchCascadeRules(ancestor, rules), isInheritedProperty);
+                const ancestorRules = describe(cascade, declaration =>
+                    alreadySet.has(declaration.property) || cascade.winners.get(declaration.property) !== declaration);
+                cascade.winners.forEach((_, property) => alreadySet.add(property));
+                if (ancestorRules.length > 0) {
+                    inherited.push({ element: describeNode(ancestor), rules: ancestorRules });
+                }
+            }
         }
 
-        switch (message.name) {
-            case 'query_elements':
-                return await this.queryElements(message.arguments.selector);
-            case 'get_computed_styles':
-                return await this.getComputedStyles(message.arguments.selector);
-            case 'get_console_logs':
-                return await this.getConsoleLogs(message.arguments.limit);
-            default:
-                throw new Error(`Unknown command: ${message.name}`);
+        const pseudoElements: Record<string, { content: string; rules: ReturnType<typeof describe> }> = {};
+        if (includePseudoElements) {
+            ['before', 'after'].forEach(pseudo => {
+                const cascade = this.resolveCascade(this.matchCascadeRules(element, rules, pseudo));
+                const pseudoRules = describe(cascade, declaration => cascade.winners.get(declaration.property) !== declaration);
+                if (pseudoRules.length > 0) {
+                    pseudoElements[`::${pseudo}`] = {
+                        content: viewOf(element).getComputedStyle(element, `::${pseudo}`).content,
+                        rules: pseudoRules
+                    };
+                }
+            });
         }
+
+        return {
+            selector,
+            element: describeNode(element),
+            rules: matchedRules,
+            computed,
+            inherited,
+            pseudoElements,
+            stylesheets: Array.from(usedSheets).sort((a, b) => a - b).map(index => this.describeStyleSheet(sheets[index], index))
+        };
     }
 
-    private async queryElements(selector: string) {
-        log('Querying elements:', selector);
+    /**
+     * Run `action` and collect the console messages logged while it runs and
+     * for `settleMs` afterwards, so async work it starts is included.
+     * The plugin's own debug logging is left out.
+     */
+    private async captureConsoleDuring<T>(action: () => T | Promise<T>, settleMs = 100) {
+        const startSeq = this.consoleSequence;
+        let result: T | undefined;
+        let error: string | null = null;
         try {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length === 0) {
-                log('No elements found for selector:', selector);
-            }
-            
-            const results = Array.from(elements).map(el => ({
-                nodeName: el.nodeName,
-                innerHTML: el.innerHTML,
-                className: el.className,
-                id: el.id,
-                textContent: el.textContent?.trim() || '',
-                // Add basic element properties that won't cause circular references
-                attributes: Object.fromEntries(
-                    Array.from(el.attributes || [])
-                        .map(attr => [attr.name, attr.value])
-                ),
-                children: Array.from(el.children).length,
-                tagName: el.tagName.toLowerCase()
-            }));
-            
-            log('Query results:', results);
-            return results;
-        } catch (error) {
-            log('Query error:', error);
-            throw error;
+            result = await action();
+        } catch (e) {
+            error = describeException(e);
         }
+        if (settleMs > 0) {
+            await new Promise(resolve => window.setTimeout(resolve, settleMs));
+        }
+
+        const messages = this.consoleMessages.filter(entry => entry.seq > startSeq && !this.isOwnLog(entry));
+        return {
+            result,
+            error,
+            console: messages.filter(entry => entry.origin === 'console'),
+            uncaughtErrors: messages.filter(entry => entry.origin !== 'console')
+        };
     }
 
-    private async getComputedStyles(selector: string) {
-        log('Getting styles for:', selector);
-        const element = document.querySelector(selector);
-        if (!element) {
-            log('Element not found:', selector);
-            return null;
-        }
-        
-        try {
-            const computed = window.getComputedStyle(element);
-            const styles = Object.fromEntries(
-                Array.from(computed).map(key => [key, computed.getPropertyValue(key)])
-            );
-            
-            log('Style results:', styles);
-            return styles;
-        } catch (error) {
-            log('Style error:', error);
-            throw error;
+    private async getConsoleLogs(query: ConsoleLogQuery = {}) {
+        log('Getting console logs:', query);
+        const limit = query.limit ?? 100;
+        const levels = query.levels?.length ? new Set(query.levels) : null;
+        let pattern: RegExp | null = null;
+        if (query.pattern) {
+            try {
+                pattern = new RegExp(query.pattern, query.ignoreCase === false ? '' : 'i');
+            } catch (error) {
+                throw new Error(`Invalid pattern: ${(error as Error).message}`);
+            }
         }
+        const since = query.since !== undefined ? parseTime(query.since, 'since') : null;
+        const until = query.until !== undefined ? parseTime(query.until, 'until') : null;
+
+        const matches = this.consoleMessages.filter(entry =>
+            (query.includeOwnLogs || !this.isOwnLog(entry))
+            && (!levels || levels.has(entry.type))
+            && (query.sinceSeq === undefined || entry.seq > query.sinceSeq)
+            && (since === null || entry.time >= since)
+            && (until === null || entry.time <= until)
+            && (!query.plugin || entry.plugin === query.plugin)
+            && (!query.window || entry.window === query.window)
+            && (!pattern || pattern.test(entry.message))
+        );
+        const logs = limit > 0 ? matches.slice(-limit) : matches;
+        log(`Returning ${logs.length} of ${matches.length} matching console logs`);
+        return { logs, matched: matches.length, latestSeq: this.consoleSequence };
     }
+}
 
-    private originalConsole: Record<string, any> = {};
+// Asks the user to allow or deny a call to a tool whose permission is "ask",
+// or an evaluate_javascript call while "Confirm each evaluation" is on
+class ToolApprovalModal extends Modal {
+    private tool: RegisteredTool;
+    private args: ToolArguments;
+    private timeoutSeconds: number;
+    private allowSession: boolean;
+    private timer: number | null = null;
+    private resolve: ((decision: ToolApprovalDecision) => void) | null = null;
 
-    private setupConsoleCapture() {
-        log('Setting up console capture');
-        // Store original console methods
-        ['log', 'info', 'warn', 'error'].forEach(method => {
-            this.originalConsole[method] = console[method];
-            (console as any)[method] = (...args: any[]) => {
-                // Call original method
-                this.originalConsole[method](...args);
-                
-                // Store message
-                this.consoleMessages.push({
-                    type: method,
-                    message: args.map(arg => 
-                        typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-                    ).join(' '),
-                    timestamp: new Date().toISOString()
-                });
+    constructor(app: App, tool: RegisteredTool, args: ToolArguments, timeoutSeconds: number, allowSession = true) {
+        super(app);
+        this.tool = tool;
+        this.args = args;
+        this.timeoutSeconds = timeoutSeconds;
+        this.allowSession = allowSession;
+    }
 
-                // Keep only last 1000 messages
-                if (this.consoleMessages.length > 1000) {
-                    this.consoleMessages.shift();
-                }
-            };
+    waitForDecision(): Promise<ToolApprovalDecision> {
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.open();
         });
     }
 
-    private restoreConsole() {
-        log('Restoring console methods');
-        // Restore original console methods
-        Object.keys(this.originalConsole).forEach(method => {
-            (console as any)[method] = this.originalConsole[method];
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h2', { text: `Allow ${this.tool.name}?` });
+        contentEl.createEl('p', {
+            text: this.tool.owner
+                ? `An MCP client wants to run this tool, registered by ${this.tool.owner}, with these arguments:`
+                : 'An MCP client wants to run this tool with these arguments:'
         });
+        // Show evaluated code as written rather than as an escaped JSON string
+        const code = this.tool.name === 'evaluate_javascript' && typeof this.args.expression === 'string'
+            ? this.args.expression
+            : JSON.stringify(this.args, null, 2);
+        contentEl.createEl('pre').createEl('code', { text: truncateText(code, 5000) });
+
+        const countdown = contentEl.createEl('p', { cls: 'setting-item-description' });
+        let remaining = this.timeoutSeconds;
+        const tick = () => {
+            if (remaining <= 0) {
+                this.decide('timeout');
+                return;
+            }
+            countdown.setText(`Denied automatically in ${remaining} s`);
+            remaining--;
+        };
+        tick();
+        this.timer = window.setInterval(tick, 1000);
+
+        const buttons = new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Deny')
+                .onClick(() => this.decide('deny')));
+        if (this.allowSession) {
+            buttons.addButton(button => button
+                .setButtonText('Allow for this session')
+                .onClick(() => this.decide('session')));
+        }
+        buttons.addButton(button => button
+                .setButtonText('Allow')
+                .setCta()
+                .onClick(() => this.decide('allow')));
+    }
+
+    onClose() {
+        this.contentEl.empty();
+        // Closing the modal without choosing counts as a denial
+        this.decide('deny');
+    }
+
+    private decide(decision: ToolApprovalDecision) {
+        if (this.timer !== null) {
+            window.clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.resolve) {
+            this.resolve(decision);
+            this.resolve = null;
+            this.close();
+        }
+    }
+}
+
+class DevToolsSettingTab extends PluginSettingTab {
+    plugin: ObsidianDevToolsPlugin;
+
+    constructor(app: App, plugin: ObsidianDevToolsPlugin) {
+        super(app, plugin);
+        this.plugin = plugin;
     }
 
-    private async getConsoleLogs(limit: number = 100) {
-        log('Getting console logs, limit:', limit);
-        const logs = this.consoleMessages.slice(-limit);
-        log('Console logs:', logs);
-        return logs;
+    display(): void {
+        const { containerEl } = this;
+        containerEl.empty();
+
+        new Setting(containerEl)
+            .setName('Enable evaluate_javascript')
+            .setDesc('Let MCP clients run arbitrary JavaScript in Obsidian. Only enable this for clients you trust.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableEvaluate)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableEvaluate = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Confirm each evaluation')
+            .setDesc('Show the code and ask for approval before every evaluate_javascript call. ' +
+                'Unanswered calls are denied after the approval timeout.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.confirmEvaluate)
+                .onChange(async (value) => {
+                    this.plugin.settings.confirmEvaluate = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Capture network requests')
+            .setDesc('Record fetch, XMLHttpRequest and requestUrl traffic for get_network_requests. ' +
+                'Nothing is recorded while this is off.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.captureNetwork)
+                .onChange(async (value) => {
+                    this.plugin.settings.captureNetwork = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Redact auth headers')
+            .setDesc('Replace Authorization, Cookie and API key headers in captured requests with [redacted].')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.redactAuthHeaders)
+                .onChange(async (value) => {
+                    this.plugin.settings.redactAuthHeaders = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Writable folders')
+            .setDesc('Vault folders the file tools may create, modify, rename or delete in, one per line. ' +
+                'Use / for the whole vault. Leave empty to make the vault read-only.')
+            .addTextArea(text => text
+                .setPlaceholder('Tests/Fixtures')
+                .setValue(this.plugin.settings.writableFolders.join('\n'))
+                .onChange(async (value) => {
+                    this.plugin.settings.writableFolders = value
+                        .split('\n')
+                        .map(folder => folder.trim())
+                        .filter(folder => folder.length > 0);
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Tool permissions')
+            .setDesc('Allow runs a tool straight away, ask shows its arguments and waits for your approval, ' +
+                'deny returns an error to the MCP client.')
+            .setHeading();
+
+        new Setting(containerEl)
+            .setName('Default permission')
+            .setDesc('Used for tools set to Default below, including tools other plugins register later.')
+            .addDropdown(dropdown => dropdown
+                .addOptions(TOOL_PERMISSION_OPTIONS)
+                .setValue(this.plugin.settings.defaultToolPermission)
+                .onChange(async (value) => {
+                    this.plugin.settings.defaultToolPermission = value as ToolPermission;
+                    this.plugin.resetSessionApprovals();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Approval timeout')
+            .setDesc(`Seconds to wait for an answer before denying a call, from 1 to ${MAX_WAIT_MS / 1000}.`)
+            .addText(text => text
+                .setValue(String(this.plugin.settings.approvalTimeoutSeconds))
+                .onChange(async (value) => {
+                    const seconds = Number(value);
+                    if (Number.isFinite(seconds) && seconds >= 1 && seconds <= MAX_WAIT_MS / 1000) {
+                        this.plugin.settings.approvalTimeoutSeconds = seconds;
+                        await this.plugin.saveSettings();
+                    }
+                }));
+
+        this.plugin.getTools().forEach(tool => {
+            new Setting(containerEl)
+                .setName(tool.name)
+                .setDesc(tool.owner ? `Registered by ${tool.owner}` : '')
+                .addDropdown(dropdown => dropdown
+                    .addOption('default', 'Default')
+                    .addOptions(TOOL_PERMISSION_OPTIONS)
+                    .setValue(this.plugin.settings.toolPermissions[tool.name] ?? 'default')
+                    .onChange(async (value) => {
+                        // Replace rather than mutate: the object may still be the shared default
+                        const permissions = { ...this.plugin.settings.toolPermissions };
+                        if (value === 'default') {
+                            delete permissions[tool.name];
+                        } else {
+                            permissions[tool.name] = value as ToolPermission;
+                        }
+                        this.plugin.settings.toolPermissions = permissions;
+                        this.plugin.resetSessionApprovals(tool.name);
+                        await this.plugin.saveSettings();
+                    }));
+        });
     }
 }
@@ -0,0 +1,20 @@
+// Checks for the vault tools' writable folder allowlist. Paths and folders
+// are expected to be normalized with Obsidian's normalizePath, which joins
+// slashes but leaves "." and ".." segments in place.
+
+// Whether a path has "." or ".." segments, which a prefix check cannot see through
+export function hasDotSegments(path: string): boolean {
+    return path.split('/').some(segment => segment === '.' || segment === '..');
+}
+
+/**
+ * Whether `path` is one of `folders` or lies inside one. "/" stands for the
+ * whole vault. Paths and folders with "." or ".." segments never match.
+ */
+export function isInsideFolders(path: string, folders: string[]): boolean {
+    if (hasDotSegments(path)) {
+        return false;
+    }
+    return folders.some(folder => !hasDotSegments(folder)
+        && (folder === '/' || path === folder || path.startsWith(`${folder}/`)));
+}
@@ -0,0 +1,23 @@
+// Tool permission rules, kept apart from the plugin so they can be tested on their own
+
+// What happens when an MCP client calls a tool
+export type ToolPermission = 'allow' | 'ask' | 'deny';
+
+/**
+ * Whether a call runs straight away ('allow'), waits for the user ('ask') or
+ * is refused ('deny'). Deny always wins, so a tool allowed for the session and
+ * then set to deny stays denied. `confirmEach` asks even for allowed tools.
+ */
+export function resolveToolPermission(
+    permission: ToolPermission,
+    allowedForSession: boolean,
+    confirmEach: boolean
+): ToolPermission {
+    if (permission === 'deny') {
+        return 'deny';
+    }
+    if (confirmEach) {
+        return 'ask';
+    }
+    return permission === 'allow' || allowedForSession ? 'allow' : 'ask';
+}
@@ -47,6 +47,13 @@ function startBridge() {
                     return;
                 }
                 
+                // Notifications (e.g. tools/list_changed) have no id, forward them as-is
+                if (!('id' in parsed) && typeof parsed.method === 'string') {
+                    console.error('[SERVICE] Writing notification to MCP:', response);
+                    process.stdout.write(response + '\n');
+                    continue;
+                }
+                
                 if (!('id' in parsed)) {
                     console.error('[SERVICE] Invalid JSON-RPC response: Missing id field');
                     return;
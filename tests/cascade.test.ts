@@ -0,0 +1,106 @@
+import {
+    CascadeDeclaration,
+    CascadeRule,
+    MatchedRule,
+    compareDeclarations,
+    compareRulePrecedence,
+    selectorSpecificity,
+    splitSelectorList,
+    splitTopLevel
+} from '../cascade';
+
+describe('splitTopLevel', () => {
+    it('leaves brackets, parentheses and quotes intact', () => {
+        expect(splitTopLevel('a:is(b, c), [title="d, e"], f', ','))
+            .toEqual(['a:is(b, c)', '[title="d, e"]', 'f']);
+    });
+
+    it('does not split a separator inside a longer run', () => {
+        expect(splitTopLevel('a >> b >>> c', '>>')).toEqual(['a', 'b >>> c']);
+    });
+
+    it('keeps empty parts', () => {
+        expect(splitTopLevel('a, ,b', ',')).toEqual(['a', '', 'b']);
+    });
+});
+
+describe('splitSelectorList', () => {
+    it('drops empty selectors', () => {
+        expect(splitSelectorList(' .a , , .b ')).toEqual(['.a', '.b']);
+    });
+});
+
+describe('selectorSpecificity', () => {
+    it.each([
+        ['*', [0, 0, 0]],
+        ['div', [0, 0, 1]],
+        ['.a.b', [0, 2, 0]],
+        ['#id > p', [1, 0, 1]],
+        ['a[href]:hover', [0, 2, 1]],
+        ['p::before', [0, 0, 2]],
+        ['p:after', [0, 0, 2]],
+        ['.a\\:b', [0, 1, 0]],
+        [':where(#id, .a) p', [0, 0, 1]],
+        [':is(#id, .a) p', [1, 0, 1]],
+        [':not(.a, div)', [0, 1, 0]],
+        ['li:nth-child(2n of .a)', [0, 2, 1]],
+        ['li:nth-child(2n)', [0, 1, 1]]
+    ])('%s', (selector, expected) => {
+        expect(selectorSpecificity(selector)).toEqual(expected);
+    });
+});
+
+describe('cascade ordering', () => {
+    const rule = (order: number, layer = 1): CascadeRule => ({
+        style: {} as CSSStyleDeclaration,
+        selectorText: '',
+        selectors: [],
+        stylesheet: 0,
+        order,
+        layer,
+        layerName: null,
+        conditions: []
+    });
+    const match = (selector: string | null, order: number, layer = 1): MatchedRule => ({
+        rule: rule(order, layer),
+        selector,
+        specificity: selector === null ? null : selectorSpecificity(selector)
+    });
+    const declaration = (matched: MatchedRule, important = false): CascadeDeclaration => ({
+        match: matched,
+        property: 'color',
+        value: 'red',
+        important
+    });
+
+    it('prefers higher specificity over later rules', () => {
+        expect(compareRulePrecedence(match('#a', 0), match('.a', 1))).toBeGreaterThan(0);
+    });
+
+    it('prefers the later rule at equal specificity', () => {
+        expect(compareRulePrecedence(match('.a', 1), match('.b', 0))).toBeGreaterThan(0);
+    });
+
+    it('prefers later layers over specificity', () => {
+        expect(compareRulePrecedence(match('.a', 0, 1), match('#a', 1, 0))).toBeGreaterThan(0);
+    });
+
+    it('prefers the style attribute over any rule', () => {
+        expect(compareRulePrecedence(match(null, 0), match('#a', 1, 2))).toBeGreaterThan(0);
+    });
+
+    it('prefers !important declarations', () => {
+        expect(compareDeclarations(declaration(match('.a', 0), true), declaration(match(null, 1))))
+            .toBeGreaterThan(0);
+    });
+
+    it('reverses layer order for !important declarations', () => {
+        expect(compareDeclarations(declaration(match('.a', 0, 0), true), declaration(match('.a', 1, 1), true)))
+            .toBeGreaterThan(0);
+    });
+
+    it('keeps the style attribute ahead of layers for !important declarations', () => {
+        expect(compareDeclarations(declaration(match(null, 0, 2), true), declaration(match('.a', 1, 0), true)))
+            .toBeGreaterThan(0);
+    });
+});
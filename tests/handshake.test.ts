@@ -0,0 +1,80 @@
+import { PROTOCOL_VERSION, handshakeProof, helloRejection, proofMatches } from '../handshake';
+
+const SECRET = 'a'.repeat(64);
+
+describe('proofMatches', () => {
+    const expected = handshakeProof(SECRET, 'plugin', 'bridge-nonce', 'plugin-nonce', 'vault');
+
+    it('accepts the expected proof', () => {
+        expect(proofMatches(expected, expected)).toBe(true);
+    });
+
+    it('rejects a proof for a different role, nonce or vault', () => {
+        expect(proofMatches(expected, handshakeProof(SECRET, 'bridge', 'bridge-nonce', 'plugin-nonce', 'vault'))).toBe(false);
+        expect(proofMatches(expected, handshakeProof(SECRET, 'plugin', 'other', 'plugin-nonce', 'vault'))).toBe(false);
+        expect(proofMatches(expected, handshakeProof(SECRET, 'plugin', 'bridge-nonce', 'plugin-nonce', 'other'))).toBe(false);
+    });
+
+    it('rejects a proof made with another secret', () => {
+        expect(proofMatches(expected, handshakeProof('b'.repeat(64), 'plugin', 'bridge-nonce', 'plugin-nonce', 'vault')))
+            .toBe(false);
+    });
+
+    it('rejects malformed proofs without throwing', () => {
+        expect(proofMatches(expected, undefined)).toBe(false);
+        expect(proofMatches(expected, 42)).toBe(false);
+        expect(proofMatches(expected, '')).toBe(false);
+        expect(proofMatches(expected, expected.slice(1))).toBe(false);
+        expect(proofMatches(expected, expected.toUpperCase())).toBe(false);
+        expect(proofMatches(expected, 'z'.repeat(64))).toBe(false);
+    });
+
+    it('rejects a multibyte proof of the same string length without throwing', () => {
+        expect(() => proofMatches(expected, 'é'.repeat(expected.length))).not.toThrow();
+        expect(proofMatches(expected, 'é'.repeat(expected.length))).toBe(false);
+    });
+});
+
+describe('helloRejection', () => {
+    const bridgeNonce = 'bridge-nonce';
+    const hello = (params: Record<string, unknown> = {}) => ({
+        method: 'hello',
+        params: {
+            role: 'plugin',
+            protocolVersion: PROTOCOL_VERSION,
+            vaultId: 'vault',
+            nonce: 'plugin-nonce',
+            proof: handshakeProof(SECRET, 'plugin', bridgeNonce, 'plugin-nonce', 'vault'),
+            ...params
+        }
+    });
+
+    it('accepts a genuine hello', () => {
+        expect(helloRejection(SECRET, hello(), bridgeNonce)).toBeNull();
+    });
+
+    it('rejects anything but a hello from the plugin', () => {
+        expect(helloRejection(SECRET, null, bridgeNonce)).toMatch(/Expected a hello/);
+        expect(helloRejection(SECRET, { method: 'tools/list' }, bridgeNonce)).toMatch(/Expected a hello/);
+        expect(helloRejection(SECRET, hello({ role: 'bridge' }), bridgeNonce)).toMatch(/Expected a hello/);
+    });
+
+    it('rejects another protocol version', () => {
+        expect(helloRejection(SECRET, hello({ protocolVersion: PROTOCOL_VERSION + 1 }), bridgeNonce))
+            .toMatch(/Protocol version mismatch/);
+    });
+
+    it('rejects a hello without vaultId or nonce', () => {
+        expect(helloRejection(SECRET, hello({ vaultId: '' }), bridgeNonce)).toMatch(/missing vaultId or nonce/);
+        expect(helloRejection(SECRET, hello({ nonce: 7 }), bridgeNonce)).toMatch(/missing vaultId or nonce/);
+    });
+
+    it('rejects a proof for another nonce or secret', () => {
+        expect(helloRejection(SECRET, hello(), 'other-nonce')).toMatch(/Invalid proof/);
+        expect(helloRejection('b'.repeat(64), hello(), bridgeNonce)).toMatch(/Invalid proof/);
+    });
+
+    it('rejects a multibyte proof without throwing', () => {
+        expect(helloRejection(SECRET, hello({ proof: 'é'.repeat(64) }), bridgeNonce)).toMatch(/Invalid proof/);
+    });
+});
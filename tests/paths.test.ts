@@ -0,0 +1,49 @@
+import { hasDotSegments, isInsideFolders } from '../paths';
+
+describe('hasDotSegments', () => {
+    it('finds . and .. segments anywhere in the path', () => {
+        expect(hasDotSegments('..')).toBe(true);
+        expect(hasDotSegments('Allowed/../Other/x.md')).toBe(true);
+        expect(hasDotSegments('Allowed/./x.md')).toBe(true);
+        expect(hasDotSegments('Allowed/x/..')).toBe(true);
+    });
+
+    it('ignores dots inside names', () => {
+        expect(hasDotSegments('Allowed/..hidden/x.md')).toBe(false);
+        expect(hasDotSegments('Allowed/notes.../x.v2.md')).toBe(false);
+    });
+});
+
+describe('isInsideFolders', () => {
+    const folders = ['Allowed', 'Tests/Fixtures'];
+
+    it('allows the folder itself and paths below it', () => {
+        expect(isInsideFolders('Allowed', folders)).toBe(true);
+        expect(isInsideFolders('Allowed/x.md', folders)).toBe(true);
+        expect(isInsideFolders('Tests/Fixtures/Deep/x.md', folders)).toBe(true);
+    });
+
+    it('rejects siblings that share a name prefix', () => {
+        expect(isInsideFolders('AllowedNot/x.md', folders)).toBe(false);
+        expect(isInsideFolders('Tests/x.md', folders)).toBe(false);
+    });
+
+    it('rejects paths that climb out of an allowed folder', () => {
+        expect(isInsideFolders('Allowed/../Other/x.md', folders)).toBe(false);
+        expect(isInsideFolders('Allowed/..', folders)).toBe(false);
+        expect(isInsideFolders('Tests/Fixtures/../../x.md', folders)).toBe(false);
+    });
+
+    it('treats / as the whole vault', () => {
+        expect(isInsideFolders('Anything/x.md', ['/'])).toBe(true);
+        expect(isInsideFolders('Anything/../x.md', ['/'])).toBe(false);
+    });
+
+    it('ignores allowlist entries with dot segments', () => {
+        expect(isInsideFolders('Other/x.md', ['Allowed/..'])).toBe(false);
+    });
+
+    it('allows nothing when the list is empty', () => {
+        expect(isInsideFolders('Allowed/x.md', [])).toBe(false);
+    });
+});
@@ -0,0 +1,26 @@
+import { resolveToolPermission } from '../permissions';
+
+describe('resolveToolPermission', () => {
+    it('runs allowed tools straight away', () => {
+        expect(resolveToolPermission('allow', false, false)).toBe('allow');
+    });
+
+    it('asks for tools set to ask', () => {
+        expect(resolveToolPermission('ask', false, false)).toBe('ask');
+    });
+
+    it('skips the prompt for tools allowed for the session', () => {
+        expect(resolveToolPermission('ask', true, false)).toBe('allow');
+    });
+
+    it('denies tools set to deny, even when allowed for the session', () => {
+        expect(resolveToolPermission('deny', false, false)).toBe('deny');
+        expect(resolveToolPermission('deny', true, false)).toBe('deny');
+        expect(resolveToolPermission('deny', true, true)).toBe('deny');
+    });
+
+    it('asks on every call when confirmEach is set', () => {
+        expect(resolveToolPermission('allow', false, true)).toBe('ask');
+        expect(resolveToolPermission('ask', true, true)).toBe('ask');
+    });
+});
@@ -0,0 +1,47 @@
+import { WindowBounds, boundsMatch, matchWindow } from '../windows';
+
+const candidate = (id: number, bounds: WindowBounds, title = 'Obsidian') => ({
+    id,
+    getBounds: () => bounds,
+    getTitle: () => title
+});
+
+const popout = { bounds: { x: 100, y: 50, width: 800, height: 600 }, title: 'Note - Vault - Obsidian' };
+
+describe('boundsMatch', () => {
+    it('allows a pixel or two of difference on each edge', () => {
+        expect(boundsMatch(popout.bounds, { x: 101, y: 48, width: 802, height: 599 })).toBe(true);
+    });
+
+    it('rejects windows further apart', () => {
+        expect(boundsMatch(popout.bounds, { x: 100, y: 50, width: 810, height: 600 })).toBe(false);
+    });
+});
+
+describe('matchWindow', () => {
+    it('picks the one window with the popout\'s bounds', () => {
+        const windows = [
+            candidate(1, { x: 0, y: 0, width: 1600, height: 1000 }),
+            candidate(2, { x: 100, y: 50, width: 800, height: 600 }),
+            candidate(3, { x: 120, y: 70, width: 800, height: 600 })
+        ];
+        expect(matchWindow(windows, popout)?.id).toBe(2);
+    });
+
+    it('uses the title when several windows share the bounds', () => {
+        const windows = [
+            candidate(1, popout.bounds, 'Other - Vault - Obsidian'),
+            candidate(2, popout.bounds, popout.title)
+        ];
+        expect(matchWindow(windows, popout)?.id).toBe(2);
+    });
+
+    it('gives up rather than guess between identical windows', () => {
+        const windows = [candidate(1, popout.bounds, popout.title), candidate(2, popout.bounds, popout.title)];
+        expect(matchWindow(windows, popout)).toBeNull();
+    });
+
+    it('returns null when no window is close enough', () => {
+        expect(matchWindow([candidate(1, { x: 400, y: 50, width: 800, height: 600 })], popout)).toBeNull();
+    });
+});
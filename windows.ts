@@ -0,0 +1,39 @@
+// Matching a popout window to the Electron BrowserWindow that shows it. The
+// renderer only knows the popout's position, size and title, so a match has to
+// be unambiguous on those. Nothing here touches Obsidian, Electron or the DOM.
+
+export interface WindowBounds {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+// The parts of an Electron BrowserWindow the match looks at
+export interface WindowCandidate {
+    getBounds(): WindowBounds;
+    getTitle(): string;
+}
+
+// Window managers and rounding can leave the two views a pixel or so apart
+export const BOUNDS_TOLERANCE = 2;
+
+export function boundsMatch(a: WindowBounds, b: WindowBounds, tolerance = BOUNDS_TOLERANCE): boolean {
+    return Math.abs(a.x - b.x) <= tolerance && Math.abs(a.y - b.y) <= tolerance &&
+        Math.abs(a.width - b.width) <= tolerance && Math.abs(a.height - b.height) <= tolerance;
+}
+
+// The one candidate with the popout's bounds, narrowed down by title when
+// several windows share them. Null when none or more than one is left, since
+// guessing would send input or screenshots to the wrong window.
+export function matchWindow<T extends WindowCandidate>(
+    candidates: T[],
+    target: { bounds: WindowBounds; title: string },
+    tolerance = BOUNDS_TOLERANCE
+): T | null {
+    let matches = candidates.filter(candidate => boundsMatch(candidate.getBounds(), target.bounds, tolerance));
+    if (matches.length > 1) {
+        matches = matches.filter(candidate => candidate.getTitle() === target.title);
+    }
+    return matches.length === 1 ? matches[0] : null;
+}